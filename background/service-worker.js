@@ -5,6 +5,13 @@
 
 // Static import (Service Worker는 dynamic import를 지원하지 않음)
 import { SupabaseClient } from '../lib/supabase-client.js';
+import { BatchJobStore, JOB_STATUS, ITEM_STATUS } from '../lib/batch-job-store.js';
+import { SaveOutbox } from '../lib/save-outbox.js';
+import { summarizeChanges } from '../lib/product-diff.js';
+import { AlertHistory, evaluateAlerts } from '../lib/price-alerts.js';
+// Content Script와 같은 URL 패턴 테이블 사용 (globalThis.PlatformDetector)
+import '../lib/platform-detector.js';
+import '../lib/settings-manager.js';
 
 // Supabase 클라이언트 인스턴스
 let supabaseClient = null;
@@ -32,6 +39,79 @@ chrome.runtime.onInstalled.addListener(() => {
 // 시작 시에도 초기화
 initializeSupabase();
 
+// 배치 작업 저장소 (Service Worker 중단 시 이어서 수집)
+const batchJobStore = new BatchJobStore();
+
+// 몰털이 최대 페이지 수 (페이지네이션)
+const STORE_CRAWL_MAX_PAGES = 10;
+
+// 키워드 수집 최대 검색 페이지 수
+const KEYWORD_MAX_PAGES = 5;
+
+// 배치 수집 상태 (한 번에 하나의 배치 또는 몰털이만 실행)
+const batchState = {
+    running: false,
+    source: null,           // 'batch' | 'store' | 'keyword'
+    progressWindowId: null,
+    abortController: null
+};
+
+// Progress 창이 닫히면 진행 중인 배치 수집 취소
+chrome.windows.onRemoved.addListener((windowId) => {
+    if (batchState.running && windowId === batchState.progressWindowId) {
+        console.log('[ServiceWorker] Progress 창 닫힘 - 배치 수집 취소');
+        cancelBatch();
+    }
+});
+
+// 저장 대기열 (네트워크 장애로 저장하지 못한 상품)
+const saveOutbox = new SaveOutbox();
+const OUTBOX_ALARM = 'saveOutboxRetry';
+let outboxProcessing = false;
+
+// 가격/재고 변동 알림 기록
+const alertHistory = new AlertHistory();
+
+// 알림 버튼: 0 = 상품 페이지, 1 = Supabase 레코드
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    const record = await alertHistory.get(notificationId);
+    if (!record) return;
+
+    // Supabase 초기화에 실패했으면 레코드 대신 상품 페이지 열기
+    const client = buttonIndex === 0 ? null : await initializeSupabase();
+    const url = client ? client.getRecordUrl(record.productId) : record.url;
+    chrome.tabs.create({ url });
+    chrome.notifications.clear(notificationId);
+});
+
+// 가격 모니터링 (저장된 상품 예약 재수집)
+const MONITOR_ALARM = 'priceMonitor';
+const MONITOR_MAX_PRODUCTS = 100;
+let monitorRunning = false;
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === OUTBOX_ALARM) {
+        processOutbox();
+    } else if (alarm.name === MONITOR_ALARM) {
+        runMonitor().catch(error => console.error('[ServiceWorker] 가격 모니터링 오류:', error));
+    }
+});
+
+// 브라우저 시작 시 대기열 재시도
+chrome.runtime.onStartup.addListener(() => {
+    processOutbox({ force: true });
+});
+
+// 모니터링 설정이 바뀌면 알람 다시 등록
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SettingsManager.STORAGE_KEY]) {
+        scheduleMonitor();
+    }
+});
+
+updateOutboxBadge();
+scheduleMonitor();
+
 /**
  * 메시지 리스너
  */
@@ -40,7 +120,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.action) {
         case 'saveProduct':
-            handleSaveProduct(message.data, sendResponse);
+            handleSaveProduct(message.data, message.duplicateAction, sendResponse);
             return true; // 비동기 응답
 
         case 'getStats':
@@ -48,7 +128,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return true;
 
         case 'signIn':
-            handleSignIn(message.email, message.password, sendResponse);
+            handleSignIn(message.email, message.password, message.keepLogin, sendResponse);
             return true;
 
         case 'signOut':
@@ -63,36 +143,318 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleCheckDuplicate(message.url, sendResponse);
             return true;
 
+        case 'getPriceHistory':
+            handleGetPriceHistory(message.productId, sendResponse);
+            return true;
+
+        case 'getAlertHistory':
+            handleGetAlertHistory(sendResponse);
+            return true;
+
+        case 'markAlertsRead':
+            alertHistory.markAllRead().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'clearAlertHistory':
+            alertHistory.clear().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'setAlertThresholds':
+            handleSetAlertThresholds(message, sendResponse);
+            return true;
+
+        case 'exportProducts':
+            handleExportProducts(message.filter, sendResponse);
+            return true;
+
+        case 'importProducts':
+            handleImportProducts(message.products, sendResponse);
+            return true;
+
+        case 'listProducts':
+            handleListProducts(message, sendResponse);
+            return true;
+
+        case 'runMonitor':
+            handleRunMonitor(sendResponse);
+            return true;
+
         case 'batchCollect':
             handleBatchCollect(message, sendResponse);
             return true;
+
+        case 'cancelBatch':
+            sendResponse({ success: cancelBatch(message.source) });
+            break;
+
+        case 'getBatchJob':
+            handleGetBatchJob(sendResponse);
+            return true;
+
+        case 'resumeBatch':
+            handleResumeBatch(message, sendResponse);
+            return true;
+
+        case 'discardBatchJob':
+            handleDiscardBatchJob(sendResponse);
+            return true;
+
+        case 'storeCrawl':
+            handleStoreCrawl(message, sender, sendResponse);
+            return true;
+
+        case 'keywordCollect':
+            handleKeywordCollect(message, sendResponse);
+            return true;
+
+        case 'batchCollectUrls':
+            handleBatchCollectUrls(message, sender, sendResponse);
+            return true;
+
+        case 'getOutbox':
+            handleGetOutbox(sendResponse);
+            return true;
+
+        case 'retryOutbox':
+            handleRetryOutbox(message, sendResponse);
+            return true;
+
+        case 'discardOutbox':
+            handleDiscardOutbox(message, sendResponse);
+            return true;
     }
 });
 
 /**
  * 상품 저장 처리 (Supabase)
+ * @param {string} duplicateAction - 중복 상품 처리 방식 (없으면 설정값 사용)
  */
-async function handleSaveProduct(productData, sendResponse) {
+async function handleSaveProduct(productData, duplicateAction, sendResponse) {
     try {
         console.log('[ServiceWorker] 상품 저장 시작:', productData.name);
 
         const client = await initializeSupabase();
+        const settings = await SettingsManager.get();
+        const result = await saveProductWithPolicy(client, productData, duplicateAction || settings.duplicatePolicy);
 
-        // Supabase에 저장
-        await client.saveProduct(productData);
+        if (result.needsDecision) {
+            sendResponse({
+                success: false,
+                needsDecision: true,
+                existing: result.existing,
+                error: '이미 수집한 상품입니다. 업데이트 또는 새로 저장을 선택해주세요.'
+            });
+            return;
+        }
+
+        if (result.skipped) {
+            sendResponse({ success: true, skipped: true });
+            return;
+        }
+
+        const alerted = result.updated && await notifyProductChanges({
+            id: result.productId,
+            name: productData.name,
+            url: productData.url
+        }, result, settings);
+
+        // 알림 (변동 알림을 띄운 경우 생략)
+        if (settings.notifications.productSaved && !alerted) {
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
+                title: result.updated ? '상품 업데이트 완료' : '상품 수집 완료',
+                message: result.updated
+                    ? `${productData.name}: ${summarizeChanges(result.changes)}`
+                    : `${productData.name}이(가) Supabase에 저장되었습니다.`,
+                silent: true
+            });
+        }
+
+        sendResponse({
+            success: true,
+            updated: !!result.updated,
+            changes: result.changes,
+            remaining: result.remaining
+        });
+    } catch (error) {
+        console.error('[ServiceWorker] 상품 저장 오류:', error);
+
+        // 네트워크/서버 오류는 대기열에 보관 후 자동 재시도
+        if (error.retryable) {
+            await saveOutbox.add(productData, error.message, duplicateAction);
+            await scheduleOutboxRetry();
+            await updateOutboxBadge();
+            sendResponse({ success: true, queued: true });
+            return;
+        }
+
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 중복 처리 방식에 따라 저장, 갱신 또는 건너뛰기
+ * @param {string} policy - SettingsManager.DUPLICATE_POLICIES 값
+ * @param {boolean} interactive - 사용자에게 물어볼 수 있는지 (배치/재시도는 false → 'ask'는 건너뜀)
+ * @returns {Promise<Object>} saveProduct/updateProduct 결과 또는 { skipped } / { needsDecision, existing }
+ */
+async function saveProductWithPolicy(client, product, policy, interactive = true) {
+    const { ASK, UPDATE, SKIP, NEW } = SettingsManager.DUPLICATE_POLICIES;
+
+    if (policy !== NEW) {
+        const duplicate = await client.checkDuplicateByUrl(product.url);
+
+        if (duplicate.isDuplicate) {
+            if (policy === UPDATE) {
+                return client.updateProduct(duplicate.product.id, product);
+            }
+            if (policy === ASK && interactive) {
+                return { needsDecision: true, existing: duplicate.product };
+            }
+
+            console.log(`[ServiceWorker] 중복 상품 건너뜀 (${policy}):`, product.url);
+            return { skipped: true };
+        }
+    }
+
+    return client.saveProduct(product);
+}
+
+/**
+ * 저장 대기열 재시도
+ * @param {Object} options - { force: 재시도 시각과 상관없이 전체 시도, id: 특정 항목만 시도 }
+ * @returns {Promise<Object>} { saved, failed }
+ */
+async function processOutbox({ force = false, id = null } = {}) {
+    const summary = { saved: 0, failed: 0 };
+    if (outboxProcessing) return summary;
+    outboxProcessing = true;
+
+    try {
+        let entries;
+        if (id !== null) {
+            entries = [await saveOutbox.get(id)].filter(Boolean);
+        } else {
+            entries = force ? await saveOutbox.list() : await saveOutbox.due();
+        }
+        if (entries.length === 0) return summary;
+
+        console.log(`[ServiceWorker] 저장 대기열 재시도: ${entries.length}개`);
+        const client = await initializeSupabase();
+        const settings = await SettingsManager.get();
+
+        for (const entry of entries) {
+            try {
+                // 이전 시도가 서버에는 저장됐지만 응답만 잃은 경우 다시 저장하지 않음 (중복 저장, 한도 이중 차감 방지)
+                const savedId = await client.findSavedProduct(entry.product);
+                if (savedId) {
+                    console.log(`[ServiceWorker] 이미 저장된 대기열 항목 제거: ${entry.product.name} (${savedId})`);
+                    await saveOutbox.remove(entry.id);
+                    summary.saved++;
+                    continue;
+                }
+
+                const policy = entry.duplicateAction || settings.duplicatePolicy;
+                const result = await saveProductWithPolicy(client, entry.product, policy, false);
+                await saveOutbox.remove(entry.id);
+                if (result.updated) {
+                    await notifyProductChanges({
+                        id: result.productId,
+                        name: entry.product.name,
+                        url: entry.product.url
+                    }, result, settings);
+                }
+                summary.saved++;
+            } catch (error) {
+                // 한도 초과, 로그아웃 등은 자동 재시도하지 않고 사용자 확인 대기
+                await saveOutbox.recordFailure(entry, error.message, !!error.retryable);
+                summary.failed++;
+            }
+        }
+
+        console.log(`[ServiceWorker] 저장 대기열 결과: 성공 ${summary.saved}, 실패 ${summary.failed}`);
+        return summary;
+    } finally {
+        outboxProcessing = false;
+        await scheduleOutboxRetry();
+        await updateOutboxBadge();
+    }
+}
+
+/**
+ * 가장 이른 재시도 시각에 알람 등록
+ */
+async function scheduleOutboxRetry() {
+    const nextRetryAt = await saveOutbox.nextRetryAt();
+    if (nextRetryAt === null) {
+        await chrome.alarms.clear(OUTBOX_ALARM);
+        return;
+    }
+    // chrome.alarms는 30초 미만 간격을 보장하지 않음
+    chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(nextRetryAt, Date.now() + 30 * 1000) });
+}
+
+/**
+ * 대기 중인 저장 건수를 아이콘 배지로 표시
+ */
+async function updateOutboxBadge() {
+    try {
+        const count = await saveOutbox.count();
+        await chrome.action.setBadgeBackgroundColor({ color: '#f59e0b' });
+        await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+    } catch (error) {
+        console.error('[ServiceWorker] 배지 갱신 오류:', error);
+    }
+}
 
-        // 알림
-        chrome.notifications.create({
-            type: 'basic',
-            iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
-            title: '상품 수집 완료',
-            message: `${productData.name}이(가) Supabase에 저장되었습니다.`,
-            silent: true
+/**
+ * 저장 대기열 조회 (팝업 표시용)
+ */
+async function handleGetOutbox(sendResponse) {
+    try {
+        const entries = await saveOutbox.list();
+        sendResponse({
+            items: entries.map(entry => ({
+                id: entry.id,
+                name: entry.product.name,
+                url: entry.product.url,
+                attempts: entry.attempts,
+                lastError: entry.lastError,
+                createdAt: entry.createdAt,
+                nextRetryAt: entry.nextRetryAt
+            }))
         });
+    } catch (error) {
+        console.error('[ServiceWorker] 저장 대기열 조회 오류:', error);
+        sendResponse({ items: [] });
+    }
+}
 
+/**
+ * 저장 대기열 즉시 재시도 (id가 없으면 전체)
+ */
+async function handleRetryOutbox(message, sendResponse) {
+    try {
+        const summary = await processOutbox({ force: true, id: message.id ?? null });
+        sendResponse({ success: true, ...summary });
+    } catch (error) {
+        console.error('[ServiceWorker] 저장 대기열 재시도 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 저장 대기열 항목 삭제
+ */
+async function handleDiscardOutbox(message, sendResponse) {
+    try {
+        await saveOutbox.remove(message.id);
+        await scheduleOutboxRetry();
+        await updateOutboxBadge();
         sendResponse({ success: true });
     } catch (error) {
-        console.error('[ServiceWorker] 상품 저장 오류:', error);
+        console.error('[ServiceWorker] 저장 대기열 삭제 오류:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
@@ -114,10 +476,10 @@ async function handleGetStats(sendResponse) {
 /**
  * 로그인 처리
  */
-async function handleSignIn(email, password, sendResponse) {
+async function handleSignIn(email, password, keepLogin, sendResponse) {
     try {
         const client = await initializeSupabase();
-        const result = await client.signIn(email, password);
+        const result = await client.signIn(email, password, keepLogin);
         sendResponse(result);
     } catch (error) {
         console.error('[ServiceWorker] 로그인 오류:', error);
@@ -178,40 +540,326 @@ async function handleCheckDuplicate(url, sendResponse) {
 }
 
 /**
- * 배치 수집 처리
+ * 재수집 변경 사항이 알림 기준에 해당하면 알림 표시 및 기록
+ * 상품별 알림 기준(alertThresholds)이 있으면 전체 설정보다 우선
+ * @param {Object} product - { id, name, url }
+ * @param {Object} result - updateProduct() 결과
+ * @param {Object} settings - 사용자 설정
+ * @returns {Promise<boolean>} 알림 표시 여부
  */
-async function handleBatchCollect(message, sendResponse) {
-    const progressWindowId = message.progressWindowId;
+async function notifyProductChanges(product, result, settings) {
+    if (!settings.priceAlerts.enabled) return false;
+
+    const thresholds = { ...settings.priceAlerts, ...(result.alertThresholds || {}) };
+    const alerts = evaluateAlerts(result.changes, thresholds);
+    if (alerts.length === 0) return false;
+
+    const record = await alertHistory.add({
+        productId: product.id,
+        productName: product.name,
+        url: product.url,
+        alerts
+    });
+
+    chrome.notifications.create(record.id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
+        title: `가격/재고 변동: ${product.name}`,
+        message: alerts.map(alert => alert.message).join('\n'),
+        buttons: [{ title: '상품 페이지 열기' }, { title: 'Supabase에서 보기' }],
+        priority: 1
+    });
 
+    console.log('[ServiceWorker] 변동 알림:', product.name, alerts);
+    return true;
+}
+
+/**
+ * 알림 기록 조회
+ */
+async function handleGetAlertHistory(sendResponse) {
     try {
-        console.log('[ServiceWorker] 배치 수집 시작, Progress Window ID:', progressWindowId);
+        sendResponse({ items: await alertHistory.list() });
+    } catch (error) {
+        console.error('[ServiceWorker] 알림 기록 조회 오류:', error);
+        sendResponse({ items: [] });
+    }
+}
 
-        // Progress 창이 완전히 로드될 때까지 대기
-        console.log('[ServiceWorker] Progress 창 로딩 대기 중...');
-        await delay(1500);
-        console.log('[ServiceWorker] Progress 창 로딩 완료');
+/**
+ * 상품별 알림 기준 저장 (thresholds가 null이면 전체 설정 사용)
+ */
+async function handleSetAlertThresholds(message, sendResponse) {
+    try {
+        const client = await initializeSupabase();
+        await client.updateAlertThresholds(message.productId, message.thresholds);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('[ServiceWorker] 알림 기준 저장 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        // 0. 전송 한도 체크
+/**
+ * 내보내기용 상품 조회 (파일 생성은 내보내기 페이지에서)
+ */
+async function handleExportProducts(filter, sendResponse) {
+    try {
         const client = await initializeSupabase();
-        const session = client.getSession();
-        if (!session || !session.profile || session.profile.transmission_limit <= 0) {
-            const msg = '전송 한도가 초과되었습니다. 수집을 진행할 수 없습니다.';
+        const products = await client.exportProducts(filter);
+        sendResponse({ success: true, products });
+    } catch (error) {
+        console.error('[ServiceWorker] 상품 내보내기 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-            // Progress 창에 에러 표시 (메시지 전송)
-            // TODO: Progress 창에서 이 메시지를 처리할 수 있어야 함. 
-            // 현재는 간단히 알림만 띄우고 종료
+/**
+ * JSON 백업에서 읽은 상품 저장
+ * URL을 정규화하고 파일 안/저장된 상품과 중복되는 상품은 건너뜀 (중복 처리 설정이 '업데이트'면 갱신)
+ * 전송 한도를 다 쓰면 나머지 상품은 저장하지 않음
+ * @param {Array<Object>} products - parseArchive() 결과의 products
+ */
+async function handleImportProducts(products, sendResponse) {
+    const results = { saved: 0, updated: 0, duplicates: 0, queued: 0, overLimit: 0, failed: 0, errors: [] };
 
-            chrome.notifications.create({
-                type: 'basic',
-                iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
-                title: '수집 실패',
-                message: msg
-            });
+    try {
+        const client = await initializeSupabase();
+        if (!client || !client.session) {
+            sendResponse({ success: false, error: '로그인이 필요합니다.' });
+            return;
+        }
 
-            sendResponse({ success: false, error: msg });
+        const settings = await SettingsManager.get();
+        const { UPDATE, SKIP } = SettingsManager.DUPLICATE_POLICIES;
+        const policy = settings.duplicatePolicy === UPDATE ? UPDATE : SKIP;
+
+        // 잔여 건수를 최신으로 맞춘 뒤 시작
+        await client.refreshProfile();
+
+        const seen = new Set();
+        for (const [index, data] of products.entries()) {
+            const product = { ...data, url: PlatformDetector.canonicalUrl(data.url) };
+            const key = PlatformDetector.productKey(product.url);
+
+            if (seen.has(key)) {
+                results.duplicates++;
+                continue;
+            }
+            seen.add(key);
+
+            if (client.session.profile.transmission_limit <= 0 && policy !== UPDATE) {
+                results.overLimit = products.length - index;
+                break;
+            }
+
+            try {
+                const result = await saveProductWithPolicy(client, product, policy, false);
+                if (result.skipped) results.duplicates++;
+                else if (result.updated) results.updated++;
+                else results.saved++;
+            } catch (error) {
+                if (error.retryable) {
+                    await saveOutbox.add(product, error.message, policy);
+                    results.queued++;
+                } else if (client.session.profile.transmission_limit <= 0) {
+                    results.overLimit++;
+                } else {
+                    results.failed++;
+                    results.errors.push({ name: product.name, error: error.message });
+                }
+            }
+        }
+
+        if (results.queued > 0) {
+            await scheduleOutboxRetry();
+            await updateOutboxBadge();
+        }
+
+        console.log('[ServiceWorker] 상품 가져오기 완료:', results);
+        sendResponse({ success: true, ...results, remaining: client.session.profile.transmission_limit });
+    } catch (error) {
+        console.error('[ServiceWorker] 상품 가져오기 오류:', error);
+        sendResponse({ success: false, error: error.message, ...results });
+    }
+}
+
+/**
+ * 저장된 상품 목록 조회 (모니터링 대상 선택용)
+ */
+async function handleListProducts(message, sendResponse) {
+    try {
+        const client = await initializeSupabase();
+        if (!client || !client.session) {
+            sendResponse({ success: false, error: '로그인이 필요합니다.', products: [] });
             return;
         }
 
+        const products = await client.listProducts({ limit: message.limit });
+        sendResponse({ success: true, products });
+    } catch (error) {
+        console.error('[ServiceWorker] 상품 목록 조회 오류:', error);
+        sendResponse({ success: false, error: error.message, products: [] });
+    }
+}
+
+/**
+ * 가격 모니터링 즉시 실행
+ */
+async function handleRunMonitor(sendResponse) {
+    try {
+        const summary = await runMonitor();
+        if (!summary) {
+            sendResponse({ success: false, error: '이미 실행 중이거나 배치 수집 중입니다.' });
+            return;
+        }
+        sendResponse({ success: true, summary });
+    } catch (error) {
+        console.error('[ServiceWorker] 가격 모니터링 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 모니터링 설정에 맞춰 알람 등록/해제
+ * 주기가 같으면 기존 알람을 유지 (Service Worker 재시작마다 주기가 초기화되지 않도록)
+ */
+async function scheduleMonitor() {
+    const { monitoring } = await SettingsManager.get();
+    const alarm = await chrome.alarms.get(MONITOR_ALARM);
+
+    if (!monitoring.enabled) {
+        if (alarm) {
+            await chrome.alarms.clear(MONITOR_ALARM);
+            console.log('[ServiceWorker] 가격 모니터링 해제');
+        }
+        return;
+    }
+
+    if (alarm && alarm.periodInMinutes === monitoring.intervalMinutes) return;
+
+    await chrome.alarms.create(MONITOR_ALARM, {
+        delayInMinutes: monitoring.intervalMinutes,
+        periodInMinutes: monitoring.intervalMinutes
+    });
+    console.log(`[ServiceWorker] 가격 모니터링 예약: ${monitoring.intervalMinutes}분마다`);
+}
+
+/**
+ * 가격 모니터링: 대상 상품을 백그라운드 탭에서 다시 파싱하여 저장된 값과 비교 후 갱신
+ * 결과는 chrome.storage.local의 monitorStatus에 기록
+ * @returns {Promise<Object|null>} { startedAt, finishedAt, checked, failed, changed, error } (실행하지 않으면 null)
+ */
+async function runMonitor() {
+    // 배치 수집과 동시에 탭을 열지 않도록 건너뜀 (다음 주기에 실행)
+    if (monitorRunning || batchState.running) {
+        console.log('[ServiceWorker] 가격 모니터링 건너뜀 (실행 중인 작업 있음)');
+        return null;
+    }
+    monitorRunning = true;
+
+    const summary = { startedAt: Date.now(), finishedAt: null, checked: 0, failed: 0, changed: [] };
+
+    try {
+        const client = await initializeSupabase();
+        if (!client || !client.session) {
+            throw new Error('로그인이 필요합니다.');
+        }
+
+        const settings = await SettingsManager.get();
+        const { platforms, productIds } = settings.monitoring;
+        if (platforms.length === 0 && productIds.length === 0) {
+            return summary;
+        }
+
+        const products = await client.listProducts({ platforms, ids: productIds, limit: MONITOR_MAX_PRODUCTS });
+        console.log(`[ServiceWorker] 가격 모니터링 시작: ${products.length}개`);
+
+        for (const product of products) {
+            try {
+                const parsed = await parseProductInBackground(product.sourcing_url, settings);
+                const result = await client.updateProduct(product.id, parsed, { monitor: true });
+                summary.checked++;
+                await notifyProductChanges({
+                    id: product.id,
+                    name: product.name,
+                    url: product.sourcing_url
+                }, result, settings);
+
+                if (Object.keys(result.changes).length > 0) {
+                    summary.changed.push({
+                        id: product.id,
+                        name: product.name,
+                        url: product.sourcing_url,
+                        changes: result.changes
+                    });
+                }
+            } catch (error) {
+                summary.failed++;
+                console.error(`[ServiceWorker] 가격 모니터링 실패 (${product.name}):`, error);
+            }
+
+            await delay(settings.batch.itemDelay);
+        }
+
+        console.log(`[ServiceWorker] 가격 모니터링 완료: 확인 ${summary.checked}, 변동 ${summary.changed.length}, 실패 ${summary.failed}`);
+        return summary;
+    } catch (error) {
+        summary.error = error.message;
+        throw error;
+    } finally {
+        summary.finishedAt = Date.now();
+        await chrome.storage.local.set({ monitorStatus: summary });
+        monitorRunning = false;
+    }
+}
+
+/**
+ * 상품 페이지를 백그라운드 탭에서 열어 파싱 결과만 가져옴 (저장하지 않음)
+ * @returns {Promise<Object>} 파싱된 상품 데이터
+ */
+async function parseProductInBackground(url, settings) {
+    const tab = await chrome.tabs.create({ url, active: false });
+
+    try {
+        await waitForTabLoad(tab.id, 15000);
+        await delay(settings.batch.pageLoadDelay);
+
+        const response = await sendMessageToTabWithRetry(tab.id, { action: 'parse_product' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || '상품 정보를 가져오지 못했습니다.');
+        }
+        return response.product;
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => { });
+    }
+}
+
+/**
+ * 상품 가격/재고 이력 조회
+ */
+async function handleGetPriceHistory(productId, sendResponse) {
+    try {
+        const client = await initializeSupabase();
+        const history = await client.getPriceHistory(productId);
+        sendResponse({ history });
+    } catch (error) {
+        console.error('[ServiceWorker] 가격 이력 조회 오류:', error);
+        sendResponse({ history: [] });
+    }
+}
+
+/**
+ * 배치 수집 처리
+ * 열린 상품 탭으로 새 배치 작업을 만들고 실행
+ */
+async function handleBatchCollect(message, sendResponse) {
+    if (batchState.running) {
+        sendResponse({ success: false, error: '이미 배치 수집이 진행 중입니다.' });
+        return;
+    }
+
+    try {
         // 1. 모든 탭 조회 (모든 창)
         const allTabs = await chrome.tabs.query({});
 
@@ -230,7 +878,7 @@ async function handleBatchCollect(message, sendResponse) {
 
         // 3. 상품 페이지 탭만 필터링
         const productTabs = tabs.filter(tab => {
-            const isProduct = isProductPage(tab.url);
+            const isProduct = PlatformDetector.isProductPage(tab.url);
             console.log(`[ServiceWorker] ${tab.url} -> ${isProduct ? '✅ 상품' : '❌ 일반'}`);
             return isProduct;
         });
@@ -245,78 +893,458 @@ async function handleBatchCollect(message, sendResponse) {
             return;
         }
 
-        // 3. 결과 객체 초기화
-        const results = {
-            total: productTabs.length,
-            success: 0,
-            failed: 0,
-            skipped: 0,
-            errors: []
-        };
+        // 4. 작업 큐 저장 후 실행
+        const job = await batchJobStore.create(productTabs.map(tab => ({
+            url: tab.url,
+            title: tab.title,
+            tabId: tab.id
+        })));
+
+        await runBatchJob(job, message.progressWindowId, sendResponse);
+    } catch (error) {
+        console.error('[ServiceWorker] 배치 수집 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 지정한 상품 URL 목록으로 배치 수집 (몰털이 등에서 확인 후 호출)
+ * 페이지(드래그 선택)에서 요청한 경우 Progress 창을 직접 열어줌
+ */
+async function handleBatchCollectUrls(message, sender, sendResponse) {
+    if (batchState.running) {
+        sendResponse({ success: false, error: '이미 배치 수집이 진행 중입니다.' });
+        return;
+    }
+
+    const products = (message.products || []).filter(product => product && product.url);
+    if (products.length === 0) {
+        sendResponse({ success: false, error: '수집할 상품이 없습니다.' });
+        return;
+    }
+
+    try {
+        let progressWindowId = message.progressWindowId;
+        if (!progressWindowId && sender.tab) {
+            progressWindowId = (await openProgressWindow()).id;
+        }
+
+        const job = await batchJobStore.create(products.map(product => ({
+            url: product.url,
+            title: product.title
+        })));
+
+        await runBatchJob(job, progressWindowId, sendResponse);
+    } catch (error) {
+        console.error('[ServiceWorker] URL 배치 수집 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 몰털이: 상점/카테고리 페이지에서 상품 링크 수집
+ * 다음 페이지가 있으면 백그라운드 탭으로 따라가며 수집
+ * 위젯 토글로 요청한 경우 요청한 탭에서 시작하고 Progress 창을 직접 열어줌
+ */
+async function handleStoreCrawl(message, sender, sendResponse) {
+    let pageTabId = message.tabId ?? sender.tab?.id;
+    const visited = new Set();
+
+    let progressWindowId = message.progressWindowId;
+    if (!progressWindowId && sender.tab && !batchState.running) {
+        try {
+            progressWindowId = (await openProgressWindow('store')).id;
+        } catch (error) {
+            console.error('[ServiceWorker] 진행 창 열기 실패:', error);
+            sendResponse({ success: false, error: error.message });
+            return;
+        }
+    }
+
+    await runProductDiscovery({
+        source: 'store',
+        progressWindowId,
+        maxPages: STORE_CRAWL_MAX_PAGES
+    }, async (page, crawl) => {
+        const response = await sendMessageToTabWithRetry(pageTabId, { action: 'trigger_store' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || '상품 링크를 가져오지 못했습니다.');
+        }
+
+        const tab = await chrome.tabs.get(pageTabId);
+        visited.add(tab.url);
+
+        const nextPageUrl = response.nextPageUrl;
+        if (!nextPageUrl || visited.has(nextPageUrl)) {
+            return { products: response.products, done: true };
+        }
+
+        // 다음 페이지는 사용자 탭을 건드리지 않도록 백그라운드 탭에서 열기
+        pageTabId = await crawl.open(nextPageUrl);
+        return { products: response.products, done: false };
+    }, sendResponse);
+}
+
+/**
+ * 키워드 수집: 검색 결과 상위 N개 상품 링크 수집
+ * 페이지마다 검색 URL을 백그라운드 탭으로 열고 카드의 가격/판매량으로 필터링
+ */
+async function handleKeywordCollect(message, sendResponse) {
+    const { keyword, platform, filters } = message;
+    const limit = Math.max(1, parseInt(message.limit, 10) || 20);
+    const maxPages = Math.min(KEYWORD_MAX_PAGES, Math.max(1, parseInt(message.maxPages, 10) || 1));
+
+    if (!PlatformDetector.getSearchUrl(platform, keyword)) {
+        sendResponse({ success: false, error: '지원하지 않는 플랫폼이거나 키워드가 없습니다.' });
+        return;
+    }
+
+    await runProductDiscovery({
+        source: 'keyword',
+        progressWindowId: message.progressWindowId,
+        maxPages,
+        limit
+    }, async (page, crawl) => {
+        const tabId = await crawl.open(PlatformDetector.getSearchUrl(platform, keyword, page));
+        if (crawl.signal.aborted) return { products: [], done: true };
+
+        const response = await sendMessageToTabWithRetry(tabId, { action: 'trigger_keyword', filters });
+        if (!response || !response.success) {
+            throw new Error(response?.error || '검색 결과를 가져오지 못했습니다.');
+        }
+
+        // 카드가 하나도 없으면 마지막 페이지
+        return { products: response.products, done: response.scanned === 0 };
+    }, sendResponse);
+}
+
+/**
+ * 상품 링크 탐색 공통 처리 (몰털이, 키워드 수집)
+ * 페이지별로 scanPage를 호출해 링크를 모으고, 결과는 Progress 창에 전달하여
+ * 사용자가 확인 후 batchCollectUrls로 배치 수집을 시작
+ * @param {Object} options - { source, progressWindowId, maxPages, limit }
+ * @param {Function} scanPage - async (page, crawl) => { products, done }
+ */
+async function runProductDiscovery(options, scanPage, sendResponse) {
+    const { source, progressWindowId, maxPages, limit = Infinity } = options;
+
+    if (batchState.running) {
+        sendResponse({ success: false, error: '이미 배치 수집이 진행 중입니다.' });
+        return;
+    }
+
+    batchState.running = true;
+    batchState.source = source;
+    batchState.progressWindowId = progressWindowId;
+    batchState.abortController = new AbortController();
+    const signal = batchState.abortController.signal;
+
+    const found = new Map();
+
+    // 탐색용 백그라운드 탭 (한 번에 하나만 유지)
+    const crawl = {
+        tabId: null,
+        signal,
+        async open(url) {
+            if (this.tabId !== null) {
+                await chrome.tabs.remove(this.tabId).catch(() => { });
+            }
+            const tab = await chrome.tabs.create({ url, active: false });
+            this.tabId = tab.id;
+
+            await waitForTabLoad(tab.id, 15000, signal);
+            await delay(1500, signal); // 동적 목록 렌더링 대기
+            return tab.id;
+        }
+    };
+
+    try {
+        // Progress 창이 완전히 로드될 때까지 대기
+        await delay(1500, signal);
+
+        for (let page = 1; page <= maxPages; page++) {
+            if (signal.aborted) break;
+
+            chrome.runtime.sendMessage({
+                action: 'crawlProgress',
+                data: { page, maxPages, found: found.size }
+            }).catch(() => { });
+
+            const { products, done } = await scanPage(page, crawl);
+            products.forEach(product => {
+                const key = PlatformDetector.productKey(product.url);
+                if (!found.has(key)) found.set(key, product);
+            });
+            console.log(`[ServiceWorker] ${source} ${page}페이지: 누적 ${found.size}개`);
+
+            if (done || found.size >= limit) break;
+        }
+
+        if (signal.aborted) {
+            chrome.runtime.sendMessage({
+                action: 'batchComplete',
+                results: { status: 'cancelled', total: 0, success: 0, failed: 0, skipped: 0, errors: [] }
+            }).catch(() => { });
+            sendResponse({ success: true, cancelled: true });
+            return;
+        }
+
+        const products = Array.from(found.values()).slice(0, limit);
+        console.log(`[ServiceWorker] ${source} 탐색 완료: 상품 ${products.length}개`);
+
+        if (products.length === 0) {
+            sendResponse({ success: false, error: '수집 가능한 상품을 찾지 못했습니다.' });
+            return;
+        }
+
+        // Progress 창에서 목록 확인 후 batchCollectUrls 요청
+        chrome.runtime.sendMessage({
+            action: 'productLinksReady',
+            data: { source, products }
+        }).catch(() => { });
+
+        sendResponse({ success: true, count: products.length });
+    } catch (error) {
+        console.error(`[ServiceWorker] ${source} 탐색 오류:`, error);
+        sendResponse({ success: false, error: error.message });
+    } finally {
+        if (crawl.tabId !== null) {
+            chrome.tabs.remove(crawl.tabId).catch(() => { });
+        }
+        batchState.running = false;
+        batchState.source = null;
+        batchState.progressWindowId = null;
+        batchState.abortController = null;
+    }
+}
+
+/**
+ * 중단된 배치 작업 이어서 수집
+ */
+async function handleResumeBatch(message, sendResponse) {
+    if (batchState.running) {
+        sendResponse({ success: false, error: '이미 배치 수집이 진행 중입니다.' });
+        return;
+    }
+
+    try {
+        const job = await loadBatchJob();
+        if (!BatchJobStore.isResumable(job)) {
+            sendResponse({ success: false, error: '이어서 수집할 작업이 없습니다.' });
+            return;
+        }
+
+        console.log(`[ServiceWorker] 배치 작업 재개: ${job.id}`);
+        await runBatchJob(job, message.progressWindowId, sendResponse);
+    } catch (error) {
+        console.error('[ServiceWorker] 배치 재개 오류:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 저장된 배치 작업 조회 (팝업의 이어서 수집 배너용)
+ */
+async function handleGetBatchJob(sendResponse) {
+    try {
+        const job = await loadBatchJob();
+        if (!job) {
+            sendResponse({ job: null });
+            return;
+        }
+
+        sendResponse({
+            job: {
+                id: job.id,
+                status: job.status,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                resumable: BatchJobStore.isResumable(job),
+                summary: BatchJobStore.summarize(job)
+            }
+        });
+    } catch (error) {
+        console.error('[ServiceWorker] 배치 작업 조회 오류:', error);
+        sendResponse({ job: null });
+    }
+}
+
+/**
+ * 저장된 배치 작업 삭제
+ */
+async function handleDiscardBatchJob(sendResponse) {
+    if (batchState.running) {
+        sendResponse({ success: false, error: '진행 중인 배치 작업은 삭제할 수 없습니다.' });
+        return;
+    }
+
+    await batchJobStore.clear();
+    sendResponse({ success: true });
+}
+
+/**
+ * 저장된 배치 작업 불러오기
+ * 실행 중으로 저장되어 있지만 현재 루프가 없으면 중단된 작업으로 표시
+ * (Service Worker 중단 또는 브라우저 재시작)
+ */
+async function loadBatchJob() {
+    const job = await batchJobStore.load();
+
+    if (job && job.status === JOB_STATUS.RUNNING && !batchState.running) {
+        await batchJobStore.setStatus(job, JOB_STATUS.INTERRUPTED);
+        console.log(`[ServiceWorker] 중단된 배치 작업 발견: ${job.id}`);
+    }
+
+    return job;
+}
+
+/**
+ * 배치 진행 창 열기 (팝업을 거치지 않고 시작한 경우)
+ */
+async function openProgressWindow(mode = 'batch') {
+    return chrome.windows.create({
+        url: chrome.runtime.getURL(`progress/progress.html?mode=${mode}`),
+        type: 'popup',
+        width: 400,
+        height: 500,
+        focused: true
+    });
+}
+
+/**
+ * 배치 작업 실행
+ * 완료(done) 항목은 건너뛰고 나머지를 순차 수집하며, 항목마다 상태를 저장
+ */
+async function runBatchJob(job, progressWindowId, sendResponse) {
+    batchState.running = true;
+    batchState.source = 'batch';
+    batchState.progressWindowId = progressWindowId;
+    batchState.abortController = new AbortController();
+    const signal = batchState.abortController.signal;
+
+    try {
+        console.log('[ServiceWorker] 배치 수집 시작, Progress Window ID:', progressWindowId);
+        await batchJobStore.setStatus(job, JOB_STATUS.RUNNING);
+        const settings = await SettingsManager.get();
+
+        // Progress 창이 완전히 로드될 때까지 대기
+        console.log('[ServiceWorker] Progress 창 로딩 대기 중...');
+        await delay(1500, signal);
+        console.log('[ServiceWorker] Progress 창 로딩 완료');
+
+        // 0. 전송 한도 체크
+        const client = await initializeSupabase();
+        const session = client.getSession();
+        if (!session || !session.profile || session.profile.transmission_limit <= 0) {
+            const msg = '전송 한도가 초과되었습니다. 수집을 진행할 수 없습니다.';
+
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
+                title: '수집 실패',
+                message: msg
+            });
+
+            // 한도가 풀리기 전에는 재개해도 같은 결과이므로 이어서 수집하지 않는 상태로 종료
+            await batchJobStore.setStatus(job, JOB_STATUS.FAILED);
+
+            // Progress 창에 실패 결과 표시
+            chrome.runtime.sendMessage({
+                action: 'batchComplete',
+                results: { status: 'failed', error: msg, total: job.items.length, success: 0, failed: 0, skipped: job.items.length, errors: [] }
+            }).catch(() => { });
+
+            sendResponse({ success: false, error: msg });
+            return;
+        }
+
+        const total = job.items.length;
+
+        // 순차 수집 (이미 완료된 항목은 건너뜀)
+        for (let i = 0; i < total; i++) {
+            const item = job.items[i];
+            if (item.status === ITEM_STATUS.DONE) continue;
+
+            // 항목 사이마다 취소 여부 확인
+            if (signal.aborted) break;
 
-        // 5. 순차 수집
-        for (let i = 0; i < productTabs.length; i++) {
-            const tab = productTabs[i];
             const current = i + 1;
-            // 완료된 탭 수로 percentage 계산 (시작 시 0%)
-            const completed = i;
-            const percentage = Math.floor((completed / productTabs.length) * 100);
+            // 처리된 항목 수로 percentage 계산 (시작 시 0%)
+            const completed = job.items.filter((it, idx) => idx !== i && it.status !== ITEM_STATUS.PENDING).length;
+            const percentage = Math.floor((completed / total) * 100);
 
             try {
-                console.log(`[ServiceWorker] === 탭 ${current}/${productTabs.length} 수집 시작 ===`);
-                console.log(`[ServiceWorker] URL: ${tab.url}`);
-                console.log(`[ServiceWorker] Title: ${tab.title}`);
+                console.log(`[ServiceWorker] === 항목 ${current}/${total} 수집 시작 ===`);
+                console.log(`[ServiceWorker] URL: ${item.url}`);
+                console.log(`[ServiceWorker] Title: ${item.title}`);
 
                 // 진행 상황 전송 (시작 시)
                 chrome.runtime.sendMessage({
                     action: 'batchProgress',
                     data: {
                         current: completed,
-                        total: productTabs.length,
+                        total,
                         percentage,
-                        currentTab: tab.title || tab.url || 'Loading...'
+                        currentTab: item.title || item.url || 'Loading...'
                     }
                 }).catch(() => { }); // 팝업이 닫혀있을 수 있음
 
-                // 탭 활성화 및 로딩 대기
-                await chrome.tabs.update(tab.id, { active: true });
-                console.log(`[ServiceWorker] 탭 활성화 완료`);
-
-                // 탭이 완전히 로드될 때까지 대기 (최대 10초)
-                await waitForTabLoad(tab.id);
-                console.log(`[ServiceWorker] 탭 로드 완료`);
+                const { tabId, createdTab } = await openBatchItemTab(item);
+                await batchJobStore.updateItem(job, i, { tabId, attempts: item.attempts + 1 });
 
-                await delay(2000); // 페이지 안정화 대기
+                let collected;
+                try {
+                    collected = await collectFromTab(tabId, settings, signal);
+                } finally {
+                    // 작업이 직접 연 탭은 수집 후 닫음
+                    if (createdTab) {
+                        chrome.tabs.remove(tabId).catch(() => { });
+                    }
+                }
 
-                // 수집 메시지 전송 (재시도 로직 포함)
-                console.log(`[ServiceWorker] 수집 메시지 전송 시작...`);
-                const collectResponse = await sendMessageToTabWithRetry(tab.id, { action: 'trigger_product' });
-                console.log(`[ServiceWorker] 수집 응답:`, collectResponse);
+                // 대기 중 취소되어 수집하지 않은 경우 pending 유지
+                if (!collected) break;
 
-                if (collectResponse && collectResponse.success) {
-                    console.log(`[ServiceWorker] ✅ 탭 ${current} 수집 성공`);
-                    results.success++;
-                } else {
-                    throw new Error(collectResponse?.error || '수집 실패');
-                }
+                console.log(`[ServiceWorker] ✅ 항목 ${current} 수집 성공`);
+                await batchJobStore.updateItem(job, i, { status: ITEM_STATUS.DONE, error: null });
 
-                // 다음 탭으로 이동하기 전 대기 (저장 완료 보장)
-                console.log(`[ServiceWorker] 다음 탭 대기 중...`);
-                await delay(3000);
+                // 다음 항목으로 이동하기 전 대기 (저장 완료 보장)
+                console.log(`[ServiceWorker] 다음 항목 대기 중...`);
+                await delay(settings.batch.itemDelay, signal);
 
             } catch (error) {
-                console.error(`[ServiceWorker] 탭 "${tab.title}" 수집 실패:`, error);
-                results.failed++;
-                results.errors.push({
-                    tab: tab.title || tab.url,
-                    error: error.message
-                });
+                console.error(`[ServiceWorker] 항목 "${item.title}" 수집 실패:`, error);
+                await batchJobStore.updateItem(job, i, { status: ITEM_STATUS.FAILED, error: error.message });
             }
         }
 
+        const summary = BatchJobStore.summarize(job);
+        const cancelled = signal.aborted && summary.pending > 0;
+        await batchJobStore.setStatus(job, cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED);
+
+        const results = {
+            status: cancelled ? 'cancelled' : 'completed',
+            total: summary.total,
+            success: summary.done,
+            failed: summary.failed,
+            skipped: summary.pending,
+            errors: job.items
+                .filter(item => item.status === ITEM_STATUS.FAILED)
+                .map(item => ({ tab: item.title || item.url, error: item.error }))
+        };
+
         console.log('[ServiceWorker]배치 수집 완료:', results);
 
-        // 완료 메시지 전송
+        if (!cancelled && settings.notifications.batchComplete) {
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
+                title: '배치 수집 완료',
+                message: `성공 ${results.success}개, 실패 ${results.failed}개`
+            });
+        }
+
+        // 완료 메시지 전송 (취소 시 부분 결과 포함)
         chrome.runtime.sendMessage({
             action: 'batchComplete',
             results: results
@@ -326,54 +1354,139 @@ async function handleBatchCollect(message, sendResponse) {
 
     } catch (error) {
         console.error('[ServiceWorker] 배치 수집 오류:', error);
+        await batchJobStore.setStatus(job, JOB_STATUS.INTERRUPTED).catch(() => { });
         sendResponse({ success: false, error: error.message });
+    } finally {
+        batchState.running = false;
+        batchState.source = null;
+        batchState.progressWindowId = null;
+        batchState.abortController = null;
     }
 }
 
 /**
- * 상품 페이지 판별
+ * 배치 항목의 탭 준비
+ * 저장된 탭이 같은 URL로 열려 있으면 재사용, 없으면 새 탭을 열어 사용
+ * @returns {Promise<{tabId: number, createdTab: boolean}>}
+ */
+async function openBatchItemTab(item) {
+    if (item.tabId !== null) {
+        try {
+            const tab = await chrome.tabs.get(item.tabId);
+            if (tab && tab.url === item.url) {
+                await chrome.tabs.update(tab.id, { active: true });
+                return { tabId: tab.id, createdTab: false };
+            }
+        } catch (error) {
+            // 탭이 닫혔거나 브라우저 재시작으로 ID가 바뀐 경우
+        }
+    }
+
+    const allTabs = await chrome.tabs.query({});
+    const openTab = allTabs.find(tab => tab.url === item.url);
+    if (openTab) {
+        await chrome.tabs.update(openTab.id, { active: true });
+        return { tabId: openTab.id, createdTab: false };
+    }
+
+    console.log(`[ServiceWorker] 새 탭에서 열기: ${item.url}`);
+    const tab = await chrome.tabs.create({ url: item.url, active: true });
+    return { tabId: tab.id, createdTab: true };
+}
+
+/**
+ * 탭이 로드되면 상품 수집 요청
+ * @param {Object} settings - 사용자 설정 (페이지 안정화 대기, 중복 처리 방식)
+ * @returns {Promise<boolean>} 수집 요청 여부 (대기 중 취소되면 false)
  */
-function isProductPage(url) {
-    if (!url) return false;
+async function collectFromTab(tabId, settings, signal) {
+    // 탭이 완전히 로드될 때까지 대기 (최대 10초)
+    await waitForTabLoad(tabId, 10000, signal);
+    console.log(`[ServiceWorker] 탭 로드 완료`);
+
+    await delay(settings.batch.pageLoadDelay, signal); // 페이지 안정화 대기
+    if (signal.aborted) return false;
+
+    // 수집 메시지 전송 (재시도 로직 포함)
+    console.log(`[ServiceWorker] 수집 메시지 전송 시작...`);
+    // 배치 수집 중에는 물어볼 수 없으므로 '매번 선택'은 건너뛰기로 처리
+    const { ASK, SKIP } = SettingsManager.DUPLICATE_POLICIES;
+    const duplicateAction = settings.duplicatePolicy === ASK ? SKIP : settings.duplicatePolicy;
+    const collectResponse = await sendMessageToTabWithRetry(tabId, { action: 'trigger_product', duplicateAction });
+    console.log(`[ServiceWorker] 수집 응답:`, collectResponse);
+
+    if (!collectResponse || !collectResponse.success) {
+        throw new Error(collectResponse?.error || '수집 실패');
+    }
+    return true;
+}
 
-    const patterns = [
-        /aliexpress\.com\/item\//,
-        /taobao\.com\/item/,
-        /1688\.com\/offer\//,
-        /tmall\.com\/item/,
-        /detail\.tmall\.com/
-    ];
+/**
+ * 배치 수집 취소 요청
+ * @param {string} [source] - 주어지면 해당 작업('batch' | 'store' | 'keyword')일 때만 취소
+ * @returns {boolean} 취소할 배치가 있었는지 여부
+ */
+function cancelBatch(source) {
+    if (!batchState.running || !batchState.abortController) {
+        return false;
+    }
+    if (source && batchState.source !== source) {
+        console.log(`[ServiceWorker] 다른 작업(${batchState.source}) 진행 중 - 취소 요청 무시`);
+        return false;
+    }
 
-    return patterns.some(pattern => pattern.test(url));
+    console.log('[ServiceWorker] 배치 수집 취소 요청');
+    batchState.abortController.abort();
+    return true;
 }
 
 /**
  * 딜레이 함수
+ * signal이 주어지면 취소(abort) 시 즉시 종료
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
 }
 
 /**
  * 탭 로딩 대기
+ * signal이 주어지면 취소(abort) 시 즉시 종료
  */
-function waitForTabLoad(tabId, timeout = 10000) {
+function waitForTabLoad(tabId, timeout = 10000, signal) {
     return new Promise((resolve, reject) => {
+        let listener = null;
+
+        const finish = () => {
+            clearTimeout(timer);
+            if (listener) chrome.tabs.onUpdated.removeListener(listener);
+            resolve();
+        };
+
         const timer = setTimeout(() => {
-            resolve(); // 타임아웃 되어도 진행 (이미 로드되었을 수 있음)
+            finish(); // 타임아웃 되어도 진행 (이미 로드되었을 수 있음)
         }, timeout);
 
+        signal?.addEventListener('abort', finish, { once: true });
+
         chrome.tabs.get(tabId, (tab) => {
             if (tab.status === 'complete') {
-                clearTimeout(timer);
-                resolve();
+                finish();
             } else {
                 // 리스너로 완료 대기
-                const listener = (tid, changeInfo) => {
+                listener = (tid, changeInfo) => {
                     if (tid === tabId && changeInfo.status === 'complete') {
-                        chrome.tabs.onUpdated.removeListener(listener);
-                        clearTimeout(timer);
-                        resolve();
+                        finish();
                     }
                 };
                 chrome.tabs.onUpdated.addListener(listener);
@@ -396,23 +1509,17 @@ async function sendMessageToTabWithRetry(tabId, message, retries = 3) {
                 console.log(`[ServiceWorker] 탭 ${tabId}에 스크립트 주입 시도...`);
                 try {
                     // manifest.json의 content_scripts와 동일한 순서로 모든 파일 주입
+                    const contentScript = chrome.runtime.getManifest().content_scripts[0];
                     await chrome.scripting.executeScript({
                         target: { tabId: tabId },
-                        files: [
-                            'lib/platform-detector.js',
-                            'parsers/base-parser.js',
-                            'parsers/chinese-platforms/aliexpress-parser.js',
-                            'parsers/chinese-platforms/1688-parser.js',
-                            'parsers/chinese-platforms/taobao-parser.js',
-                            'parsers/korean-platforms/naver-parser.js',
-                            'parsers/korean-platforms/coupang-parser.js',
-                            'parsers/korean-platforms/gmarket-parser.js',
-                            'parsers/korean-platforms/auction-parser.js',
-                            'parsers/korean-platforms/11st-parser.js',
-                            'parsers/parser-manager.js',
-                            'content/content-script.js'
-                        ]
+                        files: contentScript.js
                     });
+                    if (contentScript.css) {
+                        await chrome.scripting.insertCSS({
+                            target: { tabId: tabId },
+                            files: contentScript.css
+                        });
+                    }
                     console.log(`[ServiceWorker] 모든 스크립트 주입 완료`);
                     await delay(1000); // 스크립트 초기화 대기 (늘림)
                     continue; // 재시도
@@ -20,6 +20,10 @@ function initContentScript() {
     }
     setupMessageListeners();
     setupKeyboardShortcuts();
+
+    if (window.sellerboardWidget) {
+        window.sellerboardWidget.init();
+    }
 }
 
 /**
@@ -43,18 +47,23 @@ function setupMessageListeners() {
             case 'collectProduct':
             case 'trigger_product':
                 // 상품 수집 (기존 및 새 액션명 모두 지원)
-                handleCollectProduct(sendResponse);
+                handleCollectProduct(sendResponse, message.duplicateAction);
+                return true;
+
+            case 'parse_product':
+                // 가격 모니터링: 저장하지 않고 파싱 결과만 반환
+                handleParseProduct(sendResponse);
                 return true;
 
             case 'trigger_keyword':
-                // 키워드 검색 페이지로 이동
-                handleKeywordSearch(message.keyword, sendResponse);
+                // 키워드 수집: 현재 검색 결과 페이지의 상품 카드 수집
+                handleKeywordResults(message.filters, sendResponse);
                 return true;
 
             case 'trigger_store':
-                // 몰털이 (준비 중)
-                sendResponse({ success: false, error: '몰털이 기능은 준비 중입니다.' });
-                break;
+                // 몰털이: 현재 페이지의 상품 링크와 다음 페이지 URL 반환
+                handleStorePage(sendResponse);
+                return true;
 
             case 'getProductLinks':
                 handleGetProductLinks(sendResponse);
@@ -78,10 +87,35 @@ function setupMessageListeners() {
     });
 }
 
+/**
+ * 현재 페이지 상품 파싱 (저장하지 않음)
+ */
+function handleParseProduct(sendResponse) {
+    (async () => {
+        try {
+            if (typeof parserManager === 'undefined') {
+                throw new Error('ParserManager not initialized');
+            }
+
+            const product = await parserManager.parseCurrentPage();
+            if (!product.name || !product.price) {
+                sendResponse({ success: false, error: '상품 정보를 찾을 수 없습니다.' });
+                return;
+            }
+
+            sendResponse({ success: true, product });
+        } catch (error) {
+            console.error('상품 파싱 오류:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+}
+
 /**
  * 상품 수집 처리
+ * @param {string} duplicateAction - 중복 상품 처리 방식 (update/new/skip, 없으면 설정값)
  */
-function handleCollectProduct(sendResponse) {
+function handleCollectProduct(sendResponse, duplicateAction) {
     (async () => {
         try {
             console.log('상품 데이터 추출 시작 (V2.0)');
@@ -102,11 +136,28 @@ function handleCollectProduct(sendResponse) {
             // Service Worker로 데이터 전송하여 저장
             const saveResponse = await chrome.runtime.sendMessage({
                 action: 'saveProduct',
-                data: productData
+                data: productData,
+                duplicateAction
             });
 
-            if (saveResponse && saveResponse.success) {
-                sendResponse({ success: true, message: '상품이 성공적으로 저장되었습니다.' });
+            if (saveResponse && saveResponse.needsDecision) {
+                sendResponse({ success: false, needsDecision: true, error: saveResponse.error });
+            } else if (saveResponse && saveResponse.updated) {
+                sendResponse({ success: true, updated: true, message: '기존 상품 정보를 업데이트했습니다.' });
+            } else if (saveResponse && saveResponse.queued) {
+                sendResponse({
+                    success: true,
+                    queued: true,
+                    message: '서버에 연결할 수 없어 저장 대기열에 보관했습니다. 연결되면 자동으로 저장됩니다.'
+                });
+            } else if (saveResponse && saveResponse.skipped) {
+                sendResponse({ success: true, skipped: true, message: '이미 수집한 상품이라 건너뛰었습니다.' });
+            } else if (saveResponse && saveResponse.success) {
+                sendResponse({
+                    success: true,
+                    message: '상품이 성공적으로 저장되었습니다.',
+                    remaining: saveResponse.remaining
+                });
             } else {
                 sendResponse({ success: false, error: saveResponse?.error || '저장 실패' });
             }
@@ -119,30 +170,68 @@ function handleCollectProduct(sendResponse) {
 }
 
 /**
- * 키워드 검색 처리
+ * 키워드 수집: 검색 결과 카드 스캔
+ * Service Worker가 검색 페이지마다 호출하며, 가격/판매량 필터를 적용해 반환
+ * @param {Object} filters - { minPrice, maxPrice, minSales }
  */
-function handleKeywordSearch(keyword, sendResponse) {
-    if (!keyword) {
-        sendResponse({ success: false, error: '키워드가 없습니다.' });
-        return;
-    }
+function handleKeywordResults(filters, sendResponse) {
+    (async () => {
+        try {
+            if (typeof productParser === 'undefined') {
+                throw new Error('ProductParser not loaded');
+            }
 
-    const host = window.location.hostname;
-    let searchUrl = '';
+            // 지연 로딩되는 카드를 불러오기 위해 끝까지 스크롤
+            for (let i = 1; i <= 4; i++) {
+                window.scrollTo({ top: (document.body.scrollHeight * i) / 4, behavior: 'instant' });
+                await new Promise(resolve => setTimeout(resolve, 400));
+            }
+            window.scrollTo({ top: 0, behavior: 'instant' });
 
-    if (host.includes('aliexpress')) {
-        searchUrl = `https://www.aliexpress.com/wholesale?SearchText=${encodeURIComponent(keyword)}`;
-    } else if (host.includes('taobao')) {
-        searchUrl = `https://s.taobao.com/search?q=${encodeURIComponent(keyword)}`;
-    } else if (host.includes('1688')) {
-        searchUrl = `https://s.1688.com/selloffer/offer_search.htm?keywords=${encodeURIComponent(keyword)}`;
-    } else {
-        sendResponse({ success: false, error: '지원하지 않는 사이트입니다.' });
-        return;
+            const cards = productParser.detectProductCards();
+            const seen = new Set();
+            const products = [];
+
+            cards.forEach(card => {
+                // 광고 리다이렉트/상점 링크만 있는 카드는 제외 (상품 상세 페이지만 수집)
+                const summary = productParser.extractCardSummary(card);
+                if (!summary || !PlatformDetector.isProductPage(summary.url)) return;
+                const key = PlatformDetector.productKey(summary.url);
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                if (matchesKeywordFilters(summary, filters || {})) {
+                    products.push(summary);
+                }
+            });
+
+            console.log(`키워드 검색 결과: 카드 ${cards.length}개, 조건 일치 ${products.length}개`);
+            sendResponse({ success: true, products, scanned: cards.length });
+        } catch (error) {
+            console.error('검색 결과 스캔 오류:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+}
+
+/**
+ * 검색 결과 카드 필터 (가격/판매량 정보가 없는 카드는 해당 조건이 있으면 제외)
+ */
+function matchesKeywordFilters(summary, filters) {
+    const { minPrice, maxPrice, minSales } = filters;
+
+    if (minPrice != null || maxPrice != null) {
+        if (summary.price == null) return false;
+        if (minPrice != null && summary.price < minPrice) return false;
+        if (maxPrice != null && summary.price > maxPrice) return false;
+    }
+
+    if (minSales != null) {
+        if (summary.sales == null || summary.sales < minSales) return false;
     }
 
-    window.location.href = searchUrl;
-    sendResponse({ success: true, message: '검색 페이지로 이동 중...' });
+    return true;
 }
 
 /**
@@ -166,6 +255,54 @@ function handleGetProductLinks(sendResponse) {
     return true;
 }
 
+/**
+ * 몰털이 페이지 스캔
+ * Service Worker가 페이지네이션을 따라가며 페이지마다 호출
+ */
+function handleStorePage(sendResponse) {
+    (async () => {
+        try {
+            if (typeof parserManager === 'undefined') {
+                throw new Error('ParserManager not initialized');
+            }
+
+            // 수집 가능한 상품 상세 페이지 링크만 사용
+            const links = (await parserManager.collectLinks())
+                .filter(link => PlatformDetector.isProductPage(link));
+            const nextPageUrl = await parserManager.getNextPageUrl();
+
+            console.log(`몰털이 페이지 스캔: 상품 ${links.length}개, 다음 페이지: ${nextPageUrl || '없음'}`);
+            sendResponse({
+                success: true,
+                products: describeProductLinks(links),
+                nextPageUrl
+            });
+        } catch (error) {
+            console.error('몰털이 페이지 스캔 오류:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+}
+
+/**
+ * 상품 링크에 표시용 제목 붙이기 (링크 텍스트 또는 이미지 alt)
+ * @param {string[]} links - 상품 URL 목록
+ * @returns {Array<{url: string, title: string}>}
+ */
+function describeProductLinks(links) {
+    const titles = new Map();
+
+    document.querySelectorAll('a[href]').forEach(a => {
+        if (titles.get(a.href)) return;
+        const text = a.textContent.trim().replace(/\s+/g, ' ') ||
+            a.querySelector('img')?.alt?.trim() || '';
+        if (text) titles.set(a.href, text.substring(0, 100));
+    });
+
+    return links.map(url => ({ url, title: titles.get(url) || url }));
+}
+
 /**
  * 키보드 단축키 설정
  */
@@ -179,9 +316,13 @@ function setupKeyboardShortcuts() {
             }
         }
 
-
-
-
+        if (e.altKey && e.key === 'd') {
+            e.preventDefault();
+            if (window.sellerboardDragSelector) {
+                console.log('단축키: 드래그 선택 모드');
+                window.sellerboardDragSelector.toggle();
+            }
+        }
     });
 }
 
@@ -198,6 +339,7 @@ if (document.body) {
 
             if (window.sellerboardWidget) {
                 window.sellerboardWidget.updateStats();
+                window.sellerboardWidget.checkDuplicate();
             }
         }
     }).observe(document.body, {
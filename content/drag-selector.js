@@ -0,0 +1,254 @@
+/**
+ * 드래그 선택 - 목록 페이지에서 영역을 드래그하여 상품 카드 선택
+ * 선택한 상품은 Service Worker의 배치 수집(batchCollectUrls)으로 전달
+ * 단축키: Alt + D (모드 전환), Enter (수집 시작), ESC (모드 해제)
+ */
+
+class DragSelector {
+    constructor() {
+        this.active = false;
+        this.cards = [];            // [{ element, summary }]
+        this.selected = new Set();  // 선택된 카드 요소
+        this.startPoint = null;
+
+        this.overlay = null;
+        this.dimmer = null;
+        this.rect = null;
+        this.instruction = null;
+        this.counter = null;
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    log(...args) {
+        console.log('[DragSelector]', ...args);
+    }
+
+    toggle() {
+        if (this.active) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    /**
+     * 드래그 모드 시작
+     * 페이지의 상품 카드를 미리 찾아두고 오버레이 표시
+     */
+    activate() {
+        if (this.active) return;
+
+        if (typeof productParser === 'undefined') {
+            console.error('ProductParser not loaded!');
+            return;
+        }
+
+        this.cards = productParser.detectProductCards()
+            .map(element => ({ element, summary: productParser.extractCardSummary(element) }))
+            .filter(card => card.summary && PlatformDetector.isProductPage(card.summary.url));
+
+        if (this.cards.length === 0) {
+            alert('이 페이지에서 상품 목록을 찾을 수 없습니다.');
+            return;
+        }
+
+        this.active = true;
+        this.selected.clear();
+        this.createOverlay();
+        document.addEventListener('keydown', this.onKeyDown, true);
+
+        this.log(`드래그 모드 시작 (상품 카드 ${this.cards.length}개)`);
+    }
+
+    /**
+     * 드래그 모드 종료 (선택 해제)
+     */
+    deactivate() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.startPoint = null;
+        this.selected.forEach(element => element.classList.remove('sb-product-highlight'));
+        this.selected.clear();
+        this.cards = [];
+
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        [this.overlay, this.dimmer, this.instruction, this.counter].forEach(el => el && el.remove());
+        this.overlay = this.dimmer = this.rect = this.instruction = this.counter = null;
+
+        this.log('드래그 모드 종료');
+    }
+
+    createOverlay() {
+        this.dimmer = document.createElement('div');
+        this.dimmer.className = 'sb-drag-dimmer';
+
+        // SVG 선택 영역
+        const svgNS = 'http://www.w3.org/2000/svg';
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'sellerboard-drag-overlay';
+        this.overlay.className = 'active';
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('height', '100%');
+        this.rect = document.createElementNS(svgNS, 'rect');
+        this.rect.setAttribute('class', 'sb-selection-rect');
+        this.rect.style.display = 'none';
+        svg.appendChild(this.rect);
+        this.overlay.appendChild(svg);
+
+        this.instruction = document.createElement('div');
+        this.instruction.className = 'sb-drag-instruction';
+        this.instruction.innerHTML = '<span class="icon">🎯</span>수집할 상품 영역을 드래그하세요';
+
+        this.counter = document.createElement('div');
+        this.counter.className = 'sb-selection-counter';
+
+        this.overlay.addEventListener('mousedown', this.onMouseDown);
+        this.overlay.addEventListener('mousemove', this.onMouseMove);
+        this.overlay.addEventListener('mouseup', this.onMouseUp);
+
+        document.body.append(this.dimmer, this.overlay, this.instruction, this.counter);
+        this.updateCounter();
+    }
+
+    onMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        this.startPoint = { x: e.clientX, y: e.clientY };
+        if (this.instruction) {
+            this.instruction.remove();
+            this.instruction = null;
+        }
+    }
+
+    onMouseMove(e) {
+        if (!this.startPoint) return;
+
+        const box = this.getBox(this.startPoint, { x: e.clientX, y: e.clientY });
+        this.rect.setAttribute('x', box.left);
+        this.rect.setAttribute('y', box.top);
+        this.rect.setAttribute('width', box.right - box.left);
+        this.rect.setAttribute('height', box.bottom - box.top);
+        this.rect.style.display = '';
+    }
+
+    onMouseUp(e) {
+        if (!this.startPoint) return;
+
+        const box = this.getBox(this.startPoint, { x: e.clientX, y: e.clientY });
+        this.startPoint = null;
+        this.rect.style.display = 'none';
+
+        if (box.right - box.left < 5 && box.bottom - box.top < 5) {
+            // 클릭: 해당 위치의 카드 선택 토글
+            const card = this.cards.find(({ element }) => {
+                const r = element.getBoundingClientRect();
+                return e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom;
+            });
+            if (card) this.setSelected(card.element, !this.selected.has(card.element));
+        } else {
+            // 드래그: 중심점이 영역 안에 있는 카드 추가 선택
+            this.cards.forEach(({ element }) => {
+                const r = element.getBoundingClientRect();
+                const cx = r.left + r.width / 2;
+                const cy = r.top + r.height / 2;
+                if (cx >= box.left && cx <= box.right && cy >= box.top && cy <= box.bottom) {
+                    this.setSelected(element, true);
+                }
+            });
+        }
+
+        this.updateCounter();
+    }
+
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.deactivate();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.confirm();
+        }
+    }
+
+    getBox(a, b) {
+        return {
+            left: Math.min(a.x, b.x),
+            top: Math.min(a.y, b.y),
+            right: Math.max(a.x, b.x),
+            bottom: Math.max(a.y, b.y)
+        };
+    }
+
+    setSelected(element, selected) {
+        if (selected) {
+            this.selected.add(element);
+            element.classList.add('sb-product-highlight');
+        } else {
+            this.selected.delete(element);
+            element.classList.remove('sb-product-highlight');
+        }
+    }
+
+    updateCounter() {
+        if (!this.counter) return;
+        this.counter.innerHTML = `선택 <span class="count">${this.getSelectedProducts().length}</span>개 · Enter 수집 · ESC 취소`;
+    }
+
+    /**
+     * 선택된 상품 목록 (상품 키 기준 중복 제거)
+     * @returns {Array<{url: string, title: string}>}
+     */
+    getSelectedProducts() {
+        const seen = new Set();
+        const products = [];
+
+        this.cards.forEach(({ element, summary }) => {
+            const key = PlatformDetector.productKey(summary.url);
+            if (!this.selected.has(element) || seen.has(key)) return;
+            seen.add(key);
+            products.push({ url: summary.url, title: summary.title });
+        });
+
+        return products;
+    }
+
+    /**
+     * 선택 확정 후 배치 수집 요청
+     */
+    async confirm() {
+        const products = this.getSelectedProducts();
+        if (products.length === 0) {
+            alert('선택된 상품이 없습니다. 상품 영역을 드래그하세요.');
+            return;
+        }
+
+        this.deactivate();
+        this.log(`선택한 상품 ${products.length}개 배치 수집 요청`);
+
+        try {
+            // Progress 창은 Service Worker가 열어줌
+            const response = await chrome.runtime.sendMessage({
+                action: 'batchCollectUrls',
+                products
+            });
+
+            if (response && !response.success) {
+                alert(response.error || '배치 수집을 시작할 수 없습니다.');
+            }
+        } catch (error) {
+            console.error('드래그 선택 수집 오류:', error);
+        }
+    }
+}
+
+window.sellerboardDragSelector = new DragSelector();
@@ -1 +0,0 @@
-// 백업 파일입니다. widget.js가 정상 작동하면 삭제하셔도 됩니다.
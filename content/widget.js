@@ -0,0 +1,272 @@
+/**
+ * 플로팅 위젯 - 페이지 우측 하단의 수집 UI
+ * 사용자 설정(targetPlatforms)에 포함된 플랫폼에서만 표시
+ */
+
+class SellerboardWidget {
+    constructor() {
+        this.root = null;
+        this.collecting = false;
+    }
+
+    log(...args) {
+        console.log('[Widget]', ...args);
+    }
+
+    /**
+     * 표시 여부 확인 후 위젯 생성
+     */
+    async init() {
+        if (this.root) return;
+        if (!(await PlatformDetector.shouldShowWidget(window.location.href))) return;
+
+        this.render();
+        this.updateStats();
+        this.checkDuplicate();
+        this.log('위젯 표시');
+    }
+
+    /**
+     * 위젯 제거 (설정에서 플랫폼이 빠진 경우)
+     */
+    destroy() {
+        if (!this.root) return;
+        this.root.remove();
+        this.root = null;
+        this.log('위젯 제거');
+    }
+
+    render() {
+        const platform = PlatformDetector.detectByHost(window.location.href);
+
+        this.root = document.createElement('div');
+        this.root.id = 'sellerboard-widget';
+        this.root.innerHTML = `
+            <div class="sb-widget-header">
+                <span class="sb-widget-logo">셀러보드</span>
+                <span class="sb-widget-platform">${PlatformDetector.getPlatformName(platform)}</span>
+                <button class="sb-widget-minimize" id="sb-minimize-btn" title="접기">−</button>
+            </div>
+            <div class="sb-widget-body">
+                <div class="sb-duplicate" id="sb-duplicate" style="display: none;"></div>
+                <button class="sb-collect-btn" id="sb-collect-btn">📦 상품 수집</button>
+                <button class="sb-drag-btn" id="sb-drag-btn">🎯 영역 드래그 선택</button>
+                <label class="sb-store-mode">
+                    <span>상점 몰털이</span>
+                    <input type="checkbox" id="sb-store-mode-toggle">
+                    <span class="sb-switch"></span>
+                </label>
+                <div class="sb-progress" id="sb-progress" style="display: none;">
+                    <div class="sb-progress-track"><div class="sb-progress-fill" id="sb-progress-fill"></div></div>
+                    <span class="sb-progress-text" id="sb-progress-text"></span>
+                </div>
+                <div class="sb-stats">
+                    <div class="sb-stat">
+                        <span class="sb-stat-value" id="sb-today-count">0</span>
+                        <span class="sb-stat-label">오늘</span>
+                    </div>
+                    <div class="sb-stat">
+                        <span class="sb-stat-value" id="sb-total-count">0</span>
+                        <span class="sb-stat-label">전체</span>
+                    </div>
+                </div>
+                <div class="sb-message" id="sb-message"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.root);
+
+        this.$('#sb-minimize-btn').addEventListener('click', () => {
+            const collapsed = this.root.classList.toggle('collapsed');
+            this.$('#sb-minimize-btn').textContent = collapsed ? '+' : '−';
+        });
+        this.$('#sb-collect-btn').addEventListener('click', () => this.collectCurrentProduct());
+        this.$('#sb-drag-btn').addEventListener('click', () => {
+            if (window.sellerboardDragSelector) window.sellerboardDragSelector.toggle();
+        });
+        this.$('#sb-store-mode-toggle').addEventListener('change', (e) => this.toggleStoreMode(e.target.checked));
+    }
+
+    $(selector) {
+        return this.root ? this.root.querySelector(selector) : null;
+    }
+
+    /**
+     * 현재 페이지 상품 수집 (Alt + S)
+     * @param {string} duplicateAction - 중복 상품 처리 방식 (선택 버튼에서 지정)
+     */
+    async collectCurrentProduct(duplicateAction) {
+        if (!this.root || this.collecting) return;
+
+        const button = this.$('#sb-collect-btn');
+        this.collecting = true;
+        button.disabled = true;
+        button.textContent = '⏳ 수집 중...';
+
+        try {
+            // content-script.js의 수집 처리 재사용
+            const response = await new Promise(resolve => handleCollectProduct(resolve, duplicateAction));
+
+            if (response.needsDecision) {
+                this.showDuplicateDecision();
+            } else if (response.updated) {
+                this.showMessage('🔄 기존 상품 업데이트 완료', 'success');
+                this.checkDuplicate();
+            } else if (response.queued) {
+                this.showMessage('📥 저장 대기 중 (자동 재시도)', 'info');
+            } else if (response.skipped) {
+                this.showMessage('⏭️ 이미 수집한 상품 (건너뜀)', 'info');
+            } else if (response.success) {
+                this.showMessage('✅ 수집 완료', 'success');
+                this.updateStats();
+                this.checkDuplicate();
+            } else {
+                this.showMessage(`❌ ${response.error || '수집 실패'}`, 'error');
+            }
+        } finally {
+            this.collecting = false;
+            if (this.root) {
+                button.disabled = !PlatformDetector.isProductPage(window.location.href);
+                button.textContent = '📦 상품 수집';
+            }
+        }
+    }
+
+    /**
+     * 몰털이 토글
+     * 켜면 현재 페이지부터 상품 링크를 탐색하고 Progress 창에서 확인 후 수집
+     */
+    async toggleStoreMode(enabled) {
+        if (!enabled) {
+            // 이 토글로 시작한 몰털이만 취소 (키워드/드래그/가져오기 배치는 유지)
+            chrome.runtime.sendMessage({ action: 'cancelBatch', source: 'store' }).catch(() => { });
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'storeCrawl' });
+            if (response && !response.success) {
+                this.showMessage(`❌ ${response.error || '몰털이 실패'}`, 'error');
+            }
+        } catch (error) {
+            console.error('몰털이 요청 오류:', error);
+        } finally {
+            // 탐색이 끝나면 (목록 확인은 Progress 창에서 진행) 토글 해제
+            const toggle = this.$('#sb-store-mode-toggle');
+            if (toggle) toggle.checked = false;
+        }
+    }
+
+    /**
+     * 오늘/전체 수집 개수 갱신
+     */
+    async updateStats() {
+        if (!this.root) return;
+
+        try {
+            const stats = await chrome.runtime.sendMessage({ action: 'getStats' });
+            this.$('#sb-today-count').textContent = stats?.today || 0;
+            this.$('#sb-total-count').textContent = stats?.total || 0;
+        } catch (error) {
+            console.error('통계 조회 오류:', error);
+        }
+    }
+
+    /**
+     * 현재 상품의 중복 수집 여부 표시
+     */
+    async checkDuplicate() {
+        if (!this.root) return;
+
+        const indicator = this.$('#sb-duplicate');
+        const isProductPage = PlatformDetector.isProductPage(window.location.href);
+
+        // 상품 상세 페이지가 아니면 단일 수집 버튼 비활성화 (SPA 페이지 전환 포함)
+        if (!this.collecting) {
+            this.$('#sb-collect-btn').disabled = !isProductPage;
+        }
+
+        if (!isProductPage) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'checkDuplicate',
+                url: window.location.href
+            });
+
+            if (result && result.isDuplicate && result.product) {
+                const date = new Date(result.product.collected_at).toLocaleDateString('ko-KR');
+                indicator.textContent = `⚠️ 이미 수집한 상품 (${date})`;
+                indicator.style.display = 'block';
+            } else {
+                indicator.style.display = 'none';
+            }
+        } catch (error) {
+            console.error('중복 체크 오류:', error);
+            indicator.style.display = 'none';
+        }
+    }
+
+    /**
+     * 중복 상품 처리 선택 (설정이 '매번 선택'인 경우)
+     */
+    showDuplicateDecision() {
+        const indicator = this.$('#sb-duplicate');
+        indicator.innerHTML = `
+            <div>⚠️ 이미 수집한 상품입니다</div>
+            <div class="sb-duplicate-actions">
+                <button data-action="update">업데이트</button>
+                <button data-action="new">새로 저장</button>
+            </div>
+        `;
+        indicator.style.display = 'block';
+
+        indicator.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.collectCurrentProduct(button.dataset.action));
+        });
+    }
+
+    showProgress(current, total) {
+        if (!this.root) return;
+
+        const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
+        this.$('#sb-progress').style.display = 'block';
+        this.$('#sb-progress-fill').style.width = `${percentage}%`;
+        this.$('#sb-progress-text').textContent = `${current}/${total}`;
+    }
+
+    hideProgress() {
+        if (!this.root) return;
+        this.$('#sb-progress').style.display = 'none';
+    }
+
+    showMessage(text, type = 'info') {
+        const el = this.$('#sb-message');
+        if (!el) return;
+
+        el.textContent = text;
+        el.className = `sb-message ${type}`;
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => {
+            el.textContent = '';
+            el.className = 'sb-message';
+        }, 3000);
+    }
+}
+
+window.sellerboardWidget = new SellerboardWidget();
+
+// 설정에서 대상 플랫폼이 바뀌면 위젯 표시 여부 다시 확인
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'sync' || !changes.settings) return;
+
+    const shouldShow = await PlatformDetector.shouldShowWidget(window.location.href, changes.settings.newValue);
+    if (shouldShow) {
+        window.sellerboardWidget.init();
+    } else {
+        window.sellerboardWidget.destroy();
+    }
+});
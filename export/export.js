@@ -0,0 +1,349 @@
+/**
+ * 상품 내보내기/가져오기 페이지
+ * Service Worker에서 상품을 조회하고 선택한 형식의 파일을 로컬에서 생성
+ * JSON 백업은 페이지에서 검증한 뒤 Service Worker가 저장
+ */
+
+import { toProductTable } from '../lib/exporters/product-rows.js';
+import { toCsv } from '../lib/exporters/csv.js';
+import { toXlsx } from '../lib/exporters/xlsx.js';
+import { toSmartStoreSheets } from '../lib/exporters/smartstore.js';
+import { toCoupangSheets } from '../lib/exporters/coupang.js';
+import { toArchive, parseArchive, ARCHIVE_VERSION } from '../lib/product-archive.js';
+
+// 상품 상태 (products.status)
+const STATUSES = {
+    draft: '임시 저장',
+    active: '판매 중',
+    out_of_stock: '품절'
+};
+
+// 내보내기 형식: build(products, settings) → { blob, warnings }
+const FORMATS = {
+    csv: {
+        label: 'CSV',
+        description: '옵션값마다 한 줄, 이미지는 번호별 열',
+        extension: 'csv',
+        build: (products) => {
+            const { header, rows } = toProductTable(products);
+            return { blob: toCsv(header, rows) };
+        }
+    },
+    xlsx: {
+        label: 'Excel (XLSX)',
+        description: 'CSV와 같은 구성의 엑셀 파일',
+        extension: 'xlsx',
+        build: (products) => {
+            const { header, rows } = toProductTable(products);
+            return { blob: toXlsx([{ name: '상품', header, rows }]) };
+        }
+    },
+    smartstore: {
+        label: '스마트스토어 일괄등록',
+        description: '판매가 변환, 조합형 옵션, 필수 항목 검증 (설정 페이지의 환율·마진 사용)',
+        extension: 'xlsx',
+        build: (products, settings) => {
+            const { sheets, warnings } = toSmartStoreSheets(products, settings.pricing);
+            return { blob: toXlsx(sheets), warnings };
+        }
+    },
+    coupang: {
+        label: '쿠팡 Wing 일괄등록',
+        description: '옵션 조합마다 한 줄, 상품고시정보·이미지 조건 검증 (설정 페이지의 환율·마진 사용)',
+        extension: 'xlsx',
+        build: (products, settings) => {
+            const { sheets, warnings } = toCoupangSheets(products, settings.pricing);
+            return { blob: toXlsx(sheets), warnings };
+        }
+    },
+    json: {
+        label: 'JSON 백업',
+        description: `옵션·사양·배송·플랫폼 정보까지 전체 항목 (v${ARCHIVE_VERSION}, 아래에서 다시 가져올 수 있음)`,
+        extension: 'json',
+        build: (products) => ({ blob: toArchive(products) })
+    }
+};
+
+// 가져오기 파일에서 읽은 상품
+let importProducts = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderCheckboxes('platform-list', 'platform', Object.values(PlatformDetector.PLATFORMS)
+        .map(platform => [platform, PlatformDetector.getPlatformName(platform)]));
+    renderCheckboxes('status-list', 'status', Object.entries(STATUSES));
+    renderFormats();
+    loadProducts();
+
+    document.getElementById('export-btn').addEventListener('click', exportProducts);
+    document.getElementById('import-file').addEventListener('change', readImportFile);
+    document.getElementById('import-btn').addEventListener('click', importArchive);
+});
+
+/**
+ * 체크박스 목록 생성
+ * @param {Array<[string, string]>} items - [값, 표시 이름]
+ */
+function renderCheckboxes(listId, name, items) {
+    const list = document.getElementById(listId);
+
+    items.forEach(([value, text]) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = name;
+        checkbox.value = value;
+
+        const span = document.createElement('span');
+        span.textContent = text;
+
+        label.append(checkbox, span);
+        list.appendChild(label);
+    });
+}
+
+/**
+ * 개별 선택할 수 있는 저장된 상품 목록 표시 (최근 수집 순)
+ */
+async function loadProducts() {
+    const list = document.getElementById('product-list');
+
+    const response = await chrome.runtime.sendMessage({ action: 'listProducts' }).catch(() => null);
+    if (!response || !response.success) {
+        list.innerHTML = `<p class="desc">${response?.error || '상품 목록을 불러오지 못했습니다.'}</p>`;
+        return;
+    }
+    if (response.products.length === 0) {
+        list.innerHTML = '<p class="desc">저장된 상품이 없습니다.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    response.products.forEach(product => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'product';
+        checkbox.value = product.id;
+
+        const name = document.createElement('span');
+        name.textContent = product.name || product.sourcing_url;
+        name.title = name.textContent;
+
+        const platform = document.createElement('span');
+        platform.className = 'platform-tag';
+        platform.textContent = PlatformDetector.getPlatformName(product.platform);
+
+        label.append(checkbox, name, platform);
+        list.appendChild(label);
+    });
+}
+
+function renderFormats() {
+    const list = document.getElementById('format-list');
+
+    Object.entries(FORMATS).forEach(([key, format], index) => {
+        const label = document.createElement('label');
+        label.className = 'radio-label';
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'format';
+        radio.value = key;
+        radio.checked = index === 0;
+
+        const name = document.createElement('span');
+        name.textContent = format.label;
+
+        const description = document.createElement('span');
+        description.className = 'format-desc';
+        description.textContent = format.description;
+
+        label.append(radio, name, description);
+        list.appendChild(label);
+    });
+}
+
+/**
+ * 필터 값 읽기 (개별 선택한 상품이 있으면 선택한 상품만)
+ * @returns {Object} { from, to, platforms, statuses } 또는 { ids }
+ */
+function readFilter() {
+    const checkedValues = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`))
+        .map(checkbox => checkbox.value);
+
+    const ids = checkedValues('product');
+    if (ids.length > 0) {
+        return { ids };
+    }
+
+    return {
+        from: document.getElementById('date-from').value || null,
+        to: document.getElementById('date-to').value || null,
+        platforms: checkedValues('platform'),
+        statuses: checkedValues('status')
+    };
+}
+
+async function exportProducts() {
+    const filter = readFilter();
+    if (filter.from && filter.to && filter.from > filter.to) {
+        showStatus('수집일 시작이 끝보다 늦습니다.', 'error');
+        return;
+    }
+
+    const formatKey = document.querySelector('input[name="format"]:checked').value;
+    const format = FORMATS[formatKey];
+    const button = document.getElementById('export-btn');
+
+    button.disabled = true;
+    renderWarnings([]);
+    showStatus('상품을 불러오는 중...', 'success');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportProducts', filter });
+        if (!response || !response.success) {
+            throw new Error(response?.error || '상품을 불러오지 못했습니다.');
+        }
+
+        if (response.products.length === 0) {
+            showStatus('조건에 맞는 상품이 없습니다.', 'error');
+            return;
+        }
+
+        const settings = await SettingsManager.get();
+        const { blob, warnings = [] } = format.build(response.products, settings);
+        download(blob, `sellerboard_${formatKey}_${new Date().toISOString().slice(0, 10)}.${format.extension}`);
+
+        document.getElementById('export-summary').textContent = `상품 ${response.products.length}개`;
+        renderWarnings(warnings);
+        showStatus(`✅ ${format.label} 파일을 내려받았습니다.`, 'success');
+    } catch (error) {
+        console.error('내보내기 오류:', error);
+        showStatus(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 등록 전 확인이 필요한 항목 표시
+ * @param {Array<{name: string, message: string}>} warnings
+ */
+function renderWarnings(warnings) {
+    const card = document.getElementById('warning-card');
+    const list = document.getElementById('warning-list');
+
+    list.innerHTML = '';
+    card.style.display = warnings.length > 0 ? 'flex' : 'none';
+    document.getElementById('warning-count').textContent = warnings.length;
+
+    warnings.forEach(warning => {
+        const li = document.createElement('li');
+
+        const name = document.createElement('strong');
+        name.textContent = warning.name || warning.code;
+
+        li.append(name, ` ${warning.message}`);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * 가져올 JSON 백업 파일 읽기 및 검증
+ */
+async function readImportFile(event) {
+    const file = event.target.files[0];
+    const preview = document.getElementById('import-preview');
+    const invalidList = document.getElementById('import-invalid');
+    const button = document.getElementById('import-btn');
+
+    importProducts = [];
+    preview.textContent = '';
+    invalidList.innerHTML = '';
+    document.getElementById('import-summary').textContent = '';
+    button.disabled = true;
+    if (!file) return;
+
+    try {
+        const { exportedAt, products, invalid } = parseArchive(await file.text());
+        importProducts = products;
+
+        const date = exportedAt ? new Date(exportedAt).toLocaleString() : '알 수 없음';
+        preview.textContent = `${date}에 내보낸 파일 · 가져올 상품 ${products.length}개` +
+            (invalid.length > 0 ? ` · 형식 오류 ${invalid.length}개 (제외)` : '');
+
+        appendImportIssues(invalid.map(item => ({ name: item.name, message: item.reason })));
+        button.disabled = products.length === 0;
+    } catch (error) {
+        console.error('가져오기 파일 오류:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+async function importArchive() {
+    const button = document.getElementById('import-btn');
+
+    button.disabled = true;
+    showStatus(`상품 ${importProducts.length}개를 저장하는 중...`, 'success');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'importProducts', products: importProducts });
+        if (!response || !response.success) {
+            throw new Error(response?.error || '상품을 가져오지 못했습니다.');
+        }
+
+        const parts = [`저장 ${response.saved}개`];
+        if (response.updated > 0) parts.push(`갱신 ${response.updated}개`);
+        if (response.duplicates > 0) parts.push(`중복 ${response.duplicates}개`);
+        if (response.queued > 0) parts.push(`재시도 대기 ${response.queued}개`);
+        if (response.overLimit > 0) parts.push(`전송 한도 초과 ${response.overLimit}개`);
+        if (response.failed > 0) parts.push(`실패 ${response.failed}개`);
+        document.getElementById('import-summary').textContent = `잔여 전송 한도 ${response.remaining}건`;
+
+        appendImportIssues(response.errors.map(item => ({ name: item.name, message: item.error })));
+        showStatus(`${response.overLimit > 0 || response.failed > 0 ? '⚠️' : '✅'} ${parts.join(', ')}`,
+            response.failed > 0 ? 'error' : 'success');
+    } catch (error) {
+        console.error('가져오기 오류:', error);
+        showStatus(error.message, 'error');
+    } finally {
+        button.disabled = importProducts.length === 0;
+    }
+}
+
+/**
+ * 가져오지 못한 상품 표시
+ * @param {Array<{name: string, message: string}>} issues
+ */
+function appendImportIssues(issues) {
+    const list = document.getElementById('import-invalid');
+
+    issues.forEach(issue => {
+        const li = document.createElement('li');
+
+        const name = document.createElement('strong');
+        name.textContent = issue.name;
+
+        li.append(name, ` ${issue.message}`);
+        list.appendChild(li);
+    });
+}
+
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function showStatus(text, type) {
+    const el = document.getElementById('status-message');
+    el.textContent = text;
+    el.className = `status-message ${type}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * 배치 작업 저장소
+ * 배치 수집 큐(탭 URL 목록)와 항목별 상태를 chrome.storage.local에 보관
+ * Service Worker가 중단되거나 브라우저가 재시작되어도 이어서 수집할 수 있음
+ */
+
+const STORAGE_KEY = 'batchJob';
+
+export const JOB_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted',
+    FAILED: 'failed'            // 시작할 수 없는 작업 (전송 한도 초과 등), 이어서 수집하지 않음
+};
+
+export const ITEM_STATUS = {
+    PENDING: 'pending',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+export class BatchJobStore {
+    /**
+     * 저장된 작업 불러오기
+     * @returns {Promise<Object|null>} 배치 작업
+     */
+    async load() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || null;
+    }
+
+    /**
+     * 새 작업 생성 (기존 작업은 덮어씀)
+     * @param {Array<{url: string, title: string, tabId: number}>} entries - 수집 대상
+     * @returns {Promise<Object>} 생성된 작업
+     */
+    async create(entries) {
+        const now = new Date().toISOString();
+        const job = {
+            id: `batch_${Date.now()}`,
+            status: JOB_STATUS.RUNNING,
+            createdAt: now,
+            updatedAt: now,
+            items: entries.map(entry => ({
+                url: entry.url,
+                title: entry.title || entry.url,
+                tabId: entry.tabId ?? null,
+                status: ITEM_STATUS.PENDING,
+                error: null,
+                attempts: 0
+            }))
+        };
+
+        await this.save(job);
+        console.log(`[BatchJobStore] 작업 생성: ${job.id} (${job.items.length}개)`);
+        return job;
+    }
+
+    /**
+     * 작업 저장
+     * @param {Object} job - 배치 작업
+     */
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await chrome.storage.local.set({ [STORAGE_KEY]: job });
+    }
+
+    /**
+     * 항목 상태 갱신 후 저장
+     * @param {Object} job - 배치 작업
+     * @param {number} index - 항목 인덱스
+     * @param {Object} patch - 변경할 필드
+     */
+    async updateItem(job, index, patch) {
+        Object.assign(job.items[index], patch);
+        await this.save(job);
+    }
+
+    /**
+     * 작업 상태 변경 후 저장
+     * @param {Object} job - 배치 작업
+     * @param {string} status - JOB_STATUS 값
+     */
+    async setStatus(job, status) {
+        job.status = status;
+        await this.save(job);
+    }
+
+    /**
+     * 작업 삭제
+     */
+    async clear() {
+        await chrome.storage.local.remove([STORAGE_KEY]);
+        console.log('[BatchJobStore] 작업 삭제');
+    }
+
+    /**
+     * 작업 요약
+     * @param {Object} job - 배치 작업
+     * @returns {Object} { total, done, failed, pending }
+     */
+    static summarize(job) {
+        const summary = { total: job.items.length, done: 0, failed: 0, pending: 0 };
+
+        job.items.forEach(item => {
+            if (item.status === ITEM_STATUS.DONE) summary.done++;
+            else if (item.status === ITEM_STATUS.FAILED) summary.failed++;
+            else summary.pending++;
+        });
+
+        return summary;
+    }
+
+    /**
+     * 이어서 수집할 수 있는 작업인지 확인 (완료되지 않은 항목이 남아있는 경우)
+     * @param {Object} job - 배치 작업
+     * @returns {boolean}
+     */
+    static isResumable(job) {
+        if (!job || [JOB_STATUS.RUNNING, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(job.status)) {
+            return false;
+        }
+        return job.items.some(item => item.status !== ITEM_STATUS.DONE);
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * 쿠팡 Wing 상품 일괄등록 엑셀
+ * 옵션 조합(판매자 옵션 = vendor item)마다 한 행, 상품 공통 항목은 행마다 반복
+ * 옵션/이미지/상품고시정보가 쿠팡 등록 조건에 맞지 않으면 경고
+ */
+
+import { currencyOf, toSalePrice, toStock, optionGroups, optionCombinations, comboPriceAndStock } from './pricing.js';
+
+const MAX_OPTION_TYPES = 3;
+
+const COLUMNS = [
+    '판매자상품코드', '카테고리', '등록상품명', '상품상태', '브랜드', '제조사', '검색어',
+    ...Array.from({ length: MAX_OPTION_TYPES }, (_, i) => [`옵션유형${i + 1}`, `옵션값${i + 1}`]).flat(),
+    '판매가격', '할인율기준가', '재고수량', '출고리드타임', '인당최대구매수량',
+    '성인상품여부', '과세여부', '병행수입여부', '해외구매대행여부', '옵션코드',
+    '상품고시정보 카테고리', '품명 및 모델명', '인증/허가 사항', '제조국(원산지)', '제조자(수입자)', '소비자상담 관련 전화번호',
+    '대표이미지', '추가이미지', '상세설명',
+    '배송방법', '묶음배송여부', '배송비종류', '기본배송비', '조건부무료배송 기준금액', '반품배송비', '초도반품배송비',
+    '출고지주소코드', '반품지센터코드'
+];
+
+// 쿠팡 등록 제한
+const LIMITS = {
+    nameLength: 100,
+    vendorItems: 200,           // 상품당 옵션(판매자 옵션) 수
+    optionValueLength: 30,
+    extraImages: 9,
+    leadTime: 2                 // 기본 출고 소요일
+};
+
+// 대표/추가 이미지는 JPG, PNG만 등록 가능
+const IMAGE_PATTERN = /\.(jpe?g|png)(\?|$)/i;
+
+// 상품고시정보 (기타 재화): 항목별로 찾을 사양 키
+const NOTICE_CATEGORY = '기타 재화';
+const NOTICE_FIELDS = {
+    '품명 및 모델명': ['모델명', '품명', '모델', 'model'],
+    '인증/허가 사항': ['인증', 'KC', '인증번호'],
+    '제조국(원산지)': ['제조국', '원산지', '생산지', 'origin', '产地'],
+    '제조자(수입자)': ['제조사', '제조자', '수입자', '브랜드', 'brand', '品牌'],
+    '소비자상담 관련 전화번호': ['고객센터', 'A/S', '전화번호']
+};
+const NOTICE_DEFAULT = '상품 상세페이지 참조';
+
+/**
+ * BaseParser.parseProduct() 결과와 products 행 모두 받을 수 있도록 필드 정리
+ */
+function normalize(product) {
+    const description = product.description && typeof product.description === 'object'
+        ? product.description.html || product.description.text || ''
+        : product.description || '';
+
+    return {
+        code: product.id || product.product_key || '',
+        name: String(product.name || '').trim(),
+        platform: product.platform,
+        price: product.collected_price || product.price,
+        stock: product.stock,
+        category: product.category || '',
+        images: product.images || [],
+        options: product.options || [],
+        variants: product.variants || [],
+        specs: product.specs && !Array.isArray(product.specs) ? product.specs : {},
+        shipping: product.shipping || {},
+        description
+    };
+}
+
+/**
+ * 사양에서 상품고시정보 값 찾기 (키 일부 일치)
+ * @returns {string|null}
+ */
+function findSpec(specs, keys) {
+    const entry = Object.entries(specs).find(([key]) =>
+        keys.some(candidate => key.toLowerCase().includes(candidate.toLowerCase()))
+    );
+    return entry ? String(entry[1]).trim() : null;
+}
+
+/**
+ * 상품 1개를 판매자 옵션 행들로 변환
+ * @returns {{ code: string, rows: Array<Array>, warnings: Array<string> }}
+ */
+function toCoupangRows(source, pricing) {
+    const product = normalize(source);
+    const warnings = [];
+    const salePrice = toSalePrice(product.price, product.platform, pricing);
+
+    let name = product.name;
+    if (!name) warnings.push('등록상품명이 없습니다.');
+    if (name.length > LIMITS.nameLength) {
+        warnings.push(`등록상품명이 ${LIMITS.nameLength}자를 넘어 잘랐습니다.`);
+        name = name.slice(0, LIMITS.nameLength);
+    }
+
+    if (!/^\d+$/.test(product.category)) {
+        warnings.push(`쿠팡 카테고리 코드를 입력해야 합니다. (수집 카테고리: ${product.category || '없음'})`);
+    }
+    if (!salePrice) warnings.push('판매가격이 없습니다.');
+
+    // 이미지
+    const images = product.images.filter(src => /^https?:\/\//.test(src));
+    if (images.length === 0) {
+        warnings.push('대표이미지가 없습니다.');
+    } else if (!IMAGE_PATTERN.test(images[0])) {
+        warnings.push('대표이미지는 JPG 또는 PNG여야 합니다.');
+    }
+    if (images.some(src => src.startsWith('http://'))) {
+        warnings.push('http 이미지 주소는 등록되지 않을 수 있습니다. (https 필요)');
+    }
+    if (images.length > LIMITS.extraImages + 1) {
+        warnings.push(`추가이미지는 ${LIMITS.extraImages}개까지만 등록됩니다.`);
+    }
+    const extraImages = images.slice(1, LIMITS.extraImages + 1);
+    if (extraImages.some(src => !IMAGE_PATTERN.test(src))) {
+        warnings.push('JPG, PNG가 아닌 추가이미지는 제외했습니다.');
+    }
+
+    if (!product.description) {
+        warnings.push('상세설명이 없습니다.');
+    }
+
+    // 옵션
+    let groups = optionGroups(product.options);
+    if (groups.length > MAX_OPTION_TYPES) {
+        warnings.push(`옵션유형은 ${MAX_OPTION_TYPES}개까지 등록되어 나머지 옵션을 제외했습니다.`);
+        groups = groups.slice(0, MAX_OPTION_TYPES);
+    }
+    if (groups.some(group => !group.name)) {
+        warnings.push('옵션유형 이름이 없는 옵션이 있습니다.');
+    }
+    if (groups.some(group => group.values.some(value => String(value.value).length > LIMITS.optionValueLength))) {
+        warnings.push(`옵션값은 ${LIMITS.optionValueLength}자 이내여야 합니다.`);
+    }
+
+    let combinations = optionCombinations(groups);
+    if (combinations.length > LIMITS.vendorItems) {
+        warnings.push(`옵션 조합이 ${LIMITS.vendorItems}개를 넘어 나머지를 제외했습니다.`);
+        combinations = combinations.slice(0, LIMITS.vendorItems);
+    }
+    if (combinations.length === 0) {
+        combinations = [[]];
+    }
+
+    // 상품고시정보
+    const notice = {};
+    Object.entries(NOTICE_FIELDS).forEach(([field, keys]) => {
+        notice[field] = findSpec(product.specs, keys) || NOTICE_DEFAULT;
+    });
+    if (Object.keys(product.specs).length === 0) {
+        warnings.push(`사양 정보가 없어 상품고시정보를 '${NOTICE_DEFAULT}'로 채웠습니다.`);
+    } else if (notice['제조국(원산지)'] === NOTICE_DEFAULT) {
+        warnings.push('사양에서 제조국(원산지)을 찾지 못했습니다.');
+    }
+
+    const shippingFee = typeof product.shipping.fee === 'number' ? product.shipping.fee : pricing.defaultShippingFee;
+    const freeThreshold = product.shipping.freeThreshold > 0 ? product.shipping.freeThreshold : '';
+
+    const rows = combinations.map((combo, index) => {
+        const { price: optionPrice, stock } = combo.length > 0
+            ? comboPriceAndStock(combo, product, salePrice, pricing)
+            : { price: 0, stock: toStock(product.stock, pricing.defaultStock) };
+
+        const values = {
+            '판매자상품코드': product.code,
+            '카테고리': /^\d+$/.test(product.category) ? product.category : '',
+            '등록상품명': name,
+            '상품상태': '새상품',
+            '브랜드': findSpec(product.specs, ['브랜드', 'brand', '品牌']) || '',
+            '제조사': findSpec(product.specs, ['제조사', '제조자']) || '',
+            '판매가격': salePrice + optionPrice,
+            '할인율기준가': salePrice + optionPrice,
+            '재고수량': stock,
+            '출고리드타임': LIMITS.leadTime,
+            '성인상품여부': 'N',
+            '과세여부': 'Y',
+            '병행수입여부': 'N',
+            '해외구매대행여부': currencyOf(product.platform) === 'KRW' ? 'N' : 'Y',
+            '옵션코드': product.code ? `${product.code}-${index + 1}` : '',
+            '상품고시정보 카테고리': NOTICE_CATEGORY,
+            ...notice,
+            '대표이미지': images[0] || '',
+            '추가이미지': extraImages.filter(src => IMAGE_PATTERN.test(src)).join(','),
+            '상세설명': product.description,
+            '배송방법': '일반배송',
+            '묶음배송여부': 'Y',
+            '배송비종류': shippingFee === 0 ? '무료배송' : freeThreshold ? '조건부 무료배송' : '유료배송',
+            '기본배송비': shippingFee,
+            '조건부무료배송 기준금액': freeThreshold,
+            '반품배송비': pricing.defaultShippingFee,
+            '초도반품배송비': pricing.defaultShippingFee
+        };
+
+        combo.forEach((value, i) => {
+            values[`옵션유형${i + 1}`] = groups[i].name;
+            values[`옵션값${i + 1}`] = String(value.value).trim();
+        });
+
+        return COLUMNS.map(column => values[column] ?? '');
+    });
+
+    return { code: product.code, rows, warnings };
+}
+
+/**
+ * 상품 목록 → 쿠팡 Wing 일괄등록 시트
+ * @param {Array<Object>} products - products 행 또는 parseProduct() 결과
+ * @param {Object} pricing - 설정의 pricing
+ * @returns {{ sheets: Array<Object>, warnings: Array<Object> }} toXlsx()용 시트와 상품별 경고
+ */
+export function toCoupangSheets(products, pricing) {
+    const rows = [];
+    const warnings = [{
+        code: '',
+        name: '전체',
+        message: '출고지주소코드와 반품지센터코드는 Wing에 등록된 코드로 입력해주세요.'
+    }];
+
+    products.forEach(product => {
+        const result = toCoupangRows(product, pricing);
+        rows.push(...result.rows);
+        result.warnings.forEach(message => warnings.push({ code: result.code, name: product.name, message }));
+    });
+
+    return {
+        sheets: [
+            { name: '상품등록', header: COLUMNS, rows },
+            { name: '검증 결과', header: ['판매자상품코드', '상품명', '경고'], rows: warnings.map(w => [w.code, w.name, w.message]) }
+        ],
+        warnings
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * CSV 생성 (RFC 4180)
+ * Excel에서 한글이 깨지지 않도록 UTF-8 BOM 포함
+ */
+
+function escapeCell(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<string>} header - 헤더 행
+ * @param {Array<Array>} rows - 데이터 행
+ * @returns {Blob} text/csv
+ */
+export function toCsv(header, rows) {
+    const lines = [header, ...rows].map(row => row.map(escapeCell).join(','));
+    return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+}
@@ -0,0 +1,144 @@
+/**
+ * 판매가 변환 (오픈마켓 등록용 내보내기 공용)
+ * 수집가(원 통화) × 환율 × (1 + 마진율)을 원 단위로 올림
+ */
+
+// 플랫폼별 수집 통화 (나머지는 KRW)
+const PLATFORM_CURRENCY = {
+    aliexpress: 'USD',
+    '1688': 'CNY',
+    taobao: 'CNY'
+};
+
+// 파서가 옵션이 없을 때 만드는 기본 옵션 (내보내기에서는 옵션 없음으로 취급)
+const DEFAULT_OPTION = { name: '기본', value: '단품' };
+
+export function currencyOf(platform) {
+    return PLATFORM_CURRENCY[platform] || 'KRW';
+}
+
+/**
+ * 수집가 → 판매가 (KRW)
+ * @param {number} price - 수집 가격 (원 통화)
+ * @param {string} platform - 수집 플랫폼
+ * @param {Object} pricing - 설정의 pricing { exchangeRates, marginRate, roundUnit }
+ * @returns {number} 판매가 (가격이 없으면 0)
+ */
+export function toSalePrice(price, platform, pricing) {
+    const amount = Number(price);
+    if (!(amount > 0)) return 0;
+
+    const currency = currencyOf(platform);
+    const rate = currency === 'KRW' ? 1 : Number(pricing.exchangeRates[currency]) || 0;
+    const unit = pricing.roundUnit > 0 ? pricing.roundUnit : 1;
+    const value = amount * rate * (1 + pricing.marginRate / 100);
+
+    return Math.ceil(Math.round(value * 100) / 100 / unit) * unit;
+}
+
+/**
+ * 절대 가격(옵션 조합 가격, priceType 'absolute' 옵션값) → 추가금 (판매가와의 차액, 가격이 없으면 0)
+ * @returns {number} 추가금 (KRW, 음수 가능)
+ */
+export function toOptionPrice(optionPrice, salePrice, platform, pricing) {
+    const converted = toSalePrice(optionPrice, platform, pricing);
+    return converted > 0 ? converted - salePrice : 0;
+}
+
+/**
+ * 옵션값 추가금(수집 통화) → 추가금 (KRW, 할인 옵션은 음수)
+ * @returns {number}
+ */
+function toExtraPrice(extraPrice, platform, pricing) {
+    const amount = Number(extraPrice) || 0;
+    return Math.sign(amount) * toSalePrice(Math.abs(amount), platform, pricing);
+}
+
+/**
+ * 옵션 재고 (숫자가 아니면 품절 0, 그 외 기본 재고)
+ */
+export function toStock(stock, defaultStock) {
+    if (typeof stock === 'number' && stock >= 0) return stock;
+    return stock === 'out_of_stock' ? 0 : defaultStock;
+}
+
+/**
+ * 등록할 옵션 그룹 (값이 없는 그룹과 파서 기본 옵션 제외, 표시 문구가 따로 있으면 옵션값으로 사용)
+ * attribute는 옵션 조합(variants)의 attributes 키 (BaseParser.buildVariants()와 같이 같은 이름의 그룹은 번호를 붙임)
+ * @param {Array} options - products.options
+ * @returns {Array<{name: string, attribute: string, values: Array<Object>}>}
+ */
+export function optionGroups(options) {
+    const attributes = [];
+
+    return (options || [])
+        .filter(option => option.values && option.values.length > 0)
+        .map(option => {
+            const name = option.name || '옵션';
+            attributes.push(attributes.includes(name) ? `${name} (${attributes.length + 1})` : name);
+            return { ...option, attribute: attributes[attributes.length - 1] };
+        })
+        .map(option => ({
+            name: String(option.name || '').trim(),
+            attribute: option.attribute,
+            values: (option.values || [])
+                .map(value => (typeof value === 'object' ? { ...value, value: value.text ?? value.value } : { value }))
+                .filter(value => String(value.value ?? '').trim() !== '')
+        }))
+        .filter(option => option.values.length > 0)
+        .filter(option => !(option.name === DEFAULT_OPTION.name &&
+            option.values.length === 1 && option.values[0].value === DEFAULT_OPTION.value));
+}
+
+/**
+ * 옵션 조합 (그룹별 값의 곱집합)
+ * @param {Array} groups - optionGroups() 결과
+ * @returns {Array<Array<Object>>} 조합별 옵션값 목록 (옵션값마다 속한 그룹의 attribute를 group에 기록)
+ */
+export function optionCombinations(groups) {
+    return groups.reduce(
+        (combos, group) => combos.flatMap(combo => group.values.map(value => [...combo, { ...value, group: group.attribute }])),
+        [[]]
+    ).filter(combo => combo.length > 0);
+}
+
+/**
+ * 옵션 조합의 추가금과 재고
+ * 상품에 옵션 조합(variants)이 있으면 조합별 가격/재고를 쓰고, 없는 조합은 판매하지 않는 조합으로 보고 재고 0
+ * @param {Array<Object>} combo - optionCombinations()의 조합 하나
+ * @param {Object} product - products 행 또는 parseProduct() 결과
+ * @param {number} salePrice - 상품 판매가
+ * @returns {{ price: number, stock: number }} 추가금 (KRW)과 재고
+ */
+export function comboPriceAndStock(combo, product, salePrice, pricing) {
+    const variants = product.variants || [];
+
+    if (variants.length > 0) {
+        // 그룹이 제외되거나 잘려도 어긋나지 않도록 위치가 아닌 옵션명으로 비교
+        const variant = variants.find(item =>
+            combo.every(value => String(item.attributes?.[value.group]) === String(value.value))
+        );
+        if (!variant) return { price: 0, stock: 0 };
+
+        return {
+            price: toOptionPrice(variant.price, salePrice, product.platform, pricing),
+            stock: toStock(variant.stock, pricing.defaultStock)
+        };
+    }
+
+    // BaseParser.buildVariants()와 같은 규칙: 절대 가격 옵션값은 가장 높은 값을 기준가로, 나머지는 추가금으로 더함
+    const absolute = combo
+        .filter(value => value.priceType === 'absolute' && value.price > 0)
+        .map(value => value.price);
+    const base = absolute.length > 0
+        ? toOptionPrice(Math.max(...absolute), salePrice, product.platform, pricing)
+        : 0;
+    const extra = combo
+        .filter(value => value.priceType !== 'absolute')
+        .reduce((sum, value) => sum + toExtraPrice(value.price, product.platform, pricing), 0);
+
+    return {
+        price: base + extra,
+        stock: Math.min(...combo.map(value => toStock(value.stock, pricing.defaultStock)))
+    };
+}
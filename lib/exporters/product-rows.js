@@ -0,0 +1,63 @@
+/**
+ * 상품 → 표 형식 변환 (CSV/Excel 공용)
+ * 옵션은 옵션값마다 한 행, 이미지는 번호가 붙은 열로 펼침
+ */
+
+const BASE_COLUMNS = [
+    { key: 'id', label: '상품ID' },
+    { key: 'name', label: '상품명' },
+    { key: 'platform', label: '플랫폼' },
+    { key: 'status', label: '상태' },
+    { key: 'category', label: '카테고리' },
+    { key: 'price', label: '판매가' },
+    { key: 'cost', label: '원가' },
+    { key: 'collected_price', label: '수집가' },
+    { key: 'stock', label: '재고' },
+    { key: 'sourcing_url', label: '원본 URL' },
+    { key: 'collected_at', label: '수집일' }
+];
+
+const OPTION_COLUMNS = ['옵션명', '옵션값', '옵션 가격', '옵션 재고'];
+
+/**
+ * 옵션 목록을 옵션값 단위로 펼침
+ * @param {Array} options - [{ name, values: [{ value, text?, price, stock }] }]
+ * @returns {Array<Array>} [옵션명, 옵션값, 옵션 가격, 옵션 재고] (옵션이 없으면 빈 칸 한 줄)
+ */
+export function flattenOptions(options) {
+    const rows = [];
+
+    (options || []).forEach(option => {
+        (option.values || []).forEach(value => {
+            const item = typeof value === 'object' ? value : { value };
+            // 표시 문구(text)가 따로 있으면 value는 내부 ID이므로 text 사용
+            rows.push([option.name ?? '', item.text ?? item.value ?? '', item.price ?? '', item.stock ?? '']);
+        });
+    });
+
+    return rows.length > 0 ? rows : [['', '', '', '']];
+}
+
+/**
+ * 상품 목록을 헤더와 행으로 변환
+ * @param {Array<Object>} products - products 행
+ * @returns {{ header: Array<string>, rows: Array<Array> }}
+ */
+export function toProductTable(products) {
+    const imageCount = Math.max(0, ...products.map(product => (product.images || []).length));
+    const imageColumns = Array.from({ length: imageCount }, (_, i) => `이미지${i + 1}`);
+
+    const header = [...BASE_COLUMNS.map(column => column.label), ...OPTION_COLUMNS, ...imageColumns];
+    const rows = [];
+
+    products.forEach(product => {
+        const base = BASE_COLUMNS.map(column => product[column.key] ?? '');
+        const images = imageColumns.map((_, i) => (product.images || [])[i] ?? '');
+
+        flattenOptions(product.options).forEach(option => {
+            rows.push([...base, ...option, ...images]);
+        });
+    });
+
+    return { header, rows };
+}
@@ -0,0 +1,201 @@
+/**
+ * 네이버 스마트스토어 상품 일괄등록 엑셀
+ * 일괄등록 양식의 열 순서에 맞춰 작성 (조합형 옵션, 검증 경고 포함)
+ * 생성된 행을 스마트스토어센터에서 받은 양식에 붙여넣어 업로드
+ */
+
+import { toSalePrice, toStock, optionGroups, optionCombinations, comboPriceAndStock } from './pricing.js';
+
+const COLUMNS = [
+    '판매자 상품코드', '카테고리코드', '상품명', '상품상태', '판매가', '부가세', '재고수량',
+    '옵션형태', '옵션명', '옵션값', '옵션가', '옵션 재고수량', '직접입력형 옵션',
+    '추가상품명', '추가상품값', '추가상품가', '추가상품 재고수량',
+    '대표이미지', '추가이미지', '상세설명', '브랜드', '제조사', '제조일자', '유효일자',
+    '원산지코드', '수입사', '복수원산지여부', '원산지 직접입력', '미성년자 구매',
+    '배송비 템플릿코드', '배송방법', '택배사코드', '배송비유형', '기본배송비', '배송비 결제방식',
+    '조건부무료-상품판매가합계', '수량별부과-수량', '반품배송비', '교환배송비'
+];
+
+// 스마트스토어 등록 제한
+const LIMITS = {
+    nameLength: 100,
+    optionGroups: 3,            // 조합형 옵션명 최대 개수
+    optionNameLength: 25,
+    optionCombinations: 5000,
+    extraImages: 9,
+    optionPriceRate: 0.5        // 옵션가는 판매가의 -50% ~ +50%
+};
+
+// 원산지코드: 상세설명에 표시
+const ORIGIN_CODE = '04';
+
+/**
+ * 옵션명/옵션값에서 구분자(쉼표, 줄바꿈) 제거
+ */
+function sanitize(text) {
+    return String(text).replace(/\s*[,\r\n]+\s*/g, ' ').trim();
+}
+
+/**
+ * 배송비 항목
+ * @returns {Object} 배송비유형, 기본배송비, 조건부무료 금액
+ */
+function shippingColumns(shipping, pricing) {
+    const fee = typeof shipping?.fee === 'number' ? shipping.fee : pricing.defaultShippingFee;
+
+    if (fee === 0) {
+        return { type: '무료', fee: 0, freeThreshold: '' };
+    }
+    if (shipping?.freeThreshold > 0) {
+        return { type: '조건부 무료', fee, freeThreshold: shipping.freeThreshold };
+    }
+    return { type: '유료', fee, freeThreshold: '' };
+}
+
+/**
+ * 상품 1개를 일괄등록 행으로 변환
+ * @returns {{ row: Array, combinations: Array<Array>, warnings: Array<string> }}
+ */
+function toSmartStoreRow(product, pricing) {
+    const warnings = [];
+    const code = product.id;
+    const salePrice = toSalePrice(product.collected_price || product.price, product.platform, pricing);
+
+    // 상품명
+    let name = String(product.name || '').trim();
+    if (!name) warnings.push('상품명이 없습니다.');
+    if (name.length > LIMITS.nameLength) {
+        warnings.push(`상품명이 ${LIMITS.nameLength}자를 넘어 잘랐습니다.`);
+        name = name.slice(0, LIMITS.nameLength);
+    }
+
+    // 카테고리코드 (수집한 카테고리는 경로 문자열이므로 숫자 코드일 때만 사용, 스마트스토어 상품은 수집한 카테고리 ID)
+    const metadata = product.platform_metadata || product.platformMetadata || {};
+    const categoryCode = [product.category, product.platform === 'naver' ? metadata.categoryId : '']
+        .map(value => String(value || ''))
+        .find(value => /^\d{8}$/.test(value)) || '';
+    if (!categoryCode) {
+        warnings.push(`카테고리코드를 입력해야 합니다. (수집 카테고리: ${product.category || '없음'})`);
+    }
+
+    if (!salePrice) warnings.push('판매가가 없습니다.');
+    else if (salePrice % 10 !== 0) warnings.push('판매가는 10원 단위여야 합니다.');
+
+    // 이미지
+    const images = product.images || [];
+    if (images.length === 0) warnings.push('대표이미지가 없습니다.');
+    if (images.length > LIMITS.extraImages + 1) {
+        warnings.push(`추가이미지는 ${LIMITS.extraImages}개까지만 등록됩니다.`);
+    }
+
+    // 상세설명 (없으면 이미지로 구성)
+    let description = product.description || '';
+    if (!description) {
+        warnings.push('상세설명이 없어 이미지로 대체했습니다.');
+        description = images.map(src => `<img src="${src}">`).join('');
+    }
+
+    // 옵션 (조합형)
+    let groups = optionGroups(product.options);
+    if (groups.length > LIMITS.optionGroups) {
+        warnings.push(`옵션명은 ${LIMITS.optionGroups}개까지 등록되어 나머지 옵션을 제외했습니다.`);
+        groups = groups.slice(0, LIMITS.optionGroups);
+    }
+    if (groups.some(group => group.name.length > LIMITS.optionNameLength)) {
+        warnings.push(`옵션명은 ${LIMITS.optionNameLength}자 이내여야 합니다.`);
+    }
+
+    const combinations = optionCombinations(groups);
+    if (combinations.length > LIMITS.optionCombinations) {
+        warnings.push(`옵션 조합이 ${LIMITS.optionCombinations}개를 넘습니다.`);
+    }
+
+    const comboRows = combinations.map(combo => ({
+        label: combo.map(value => sanitize(value.value)).join(' / '),
+        ...comboPriceAndStock(combo, product, salePrice, pricing)
+    }));
+
+    const maxOptionPrice = salePrice * LIMITS.optionPriceRate;
+    if (comboRows.some(combo => Math.abs(combo.price) > maxOptionPrice)) {
+        warnings.push('옵션가가 판매가의 -50%~+50% 범위를 벗어납니다.');
+    }
+
+    const stock = comboRows.length > 0
+        ? comboRows.reduce((sum, combo) => sum + combo.stock, 0)
+        : toStock(product.stock, pricing.defaultStock);
+
+    const shipping = shippingColumns(product.shipping, pricing);
+
+    // 추가상품 (스마트스토어에서 수집한 상품): 그룹별로 줄바꿈, 그룹 내 값은 쉼표로 구분
+    const supplementGroups = {};
+    (metadata.supplements || []).forEach(item => {
+        (supplementGroups[sanitize(item.group)] = supplementGroups[sanitize(item.group)] || []).push(item);
+    });
+    const supplements = Object.entries(supplementGroups);
+    const joinSupplements = format => supplements.map(([, items]) => items.map(format).join(',')).join('\n');
+
+    const values = {
+        '판매자 상품코드': code,
+        '카테고리코드': categoryCode,
+        '상품명': name,
+        '상품상태': '신상품',
+        '판매가': salePrice,
+        '부가세': '과세상품',
+        '재고수량': stock,
+        '옵션형태': comboRows.length > 0 ? '조합형' : '',
+        '옵션명': groups.map(group => sanitize(group.name)).join('\n'),
+        '옵션값': groups.map(group => group.values.map(value => sanitize(value.value)).join(',')).join('\n'),
+        '옵션가': comboRows.map(combo => combo.price).join(','),
+        '옵션 재고수량': comboRows.map(combo => combo.stock).join(','),
+        '추가상품명': supplements.map(([group]) => group).join('\n'),
+        '추가상품값': joinSupplements(item => sanitize(item.name)),
+        '추가상품가': joinSupplements(item => toSalePrice(item.price, product.platform, pricing)),
+        '추가상품 재고수량': joinSupplements(item => toStock(item.stock, pricing.defaultStock)),
+        '대표이미지': images[0] || '',
+        '추가이미지': images.slice(1, LIMITS.extraImages + 1).join(','),
+        '상세설명': description,
+        '원산지코드': ORIGIN_CODE,
+        '미성년자 구매': 'Y',
+        '배송방법': '택배, 소포, 등기',
+        '배송비유형': shipping.type,
+        '기본배송비': shipping.fee,
+        '배송비 결제방식': shipping.type === '무료' ? '' : '선결제',
+        '조건부무료-상품판매가합계': shipping.freeThreshold,
+        '반품배송비': pricing.defaultShippingFee,
+        '교환배송비': pricing.defaultShippingFee * 2
+    };
+
+    return {
+        row: COLUMNS.map(column => values[column] ?? ''),
+        combinations: comboRows.map(combo => [code, name, combo.label, combo.price, combo.stock]),
+        warnings
+    };
+}
+
+/**
+ * 상품 목록 → 스마트스토어 일괄등록 시트
+ * @param {Array<Object>} products - products 행
+ * @param {Object} pricing - 설정의 pricing
+ * @returns {{ sheets: Array<Object>, warnings: Array<Object> }} toXlsx()용 시트와 상품별 경고
+ */
+export function toSmartStoreSheets(products, pricing) {
+    const rows = [];
+    const combinationRows = [];
+    const warnings = [];
+
+    products.forEach(product => {
+        const result = toSmartStoreRow(product, pricing);
+        rows.push(result.row);
+        combinationRows.push(...result.combinations);
+        result.warnings.forEach(message => warnings.push({ code: product.id, name: product.name, message }));
+    });
+
+    return {
+        sheets: [
+            { name: '일괄등록', header: COLUMNS, rows },
+            { name: '옵션 조합', header: ['판매자 상품코드', '상품명', '옵션 조합', '옵션가', '재고수량'], rows: combinationRows },
+            { name: '검증 결과', header: ['판매자 상품코드', '상품명', '경고'], rows: warnings.map(w => [w.code, w.name, w.message]) }
+        ],
+        warnings
+    };
+}
@@ -59,6 +59,11 @@ class ProductParser {
     }
 
     detectPlatform(url) {
+        // 플랫폼 감지기가 로드되어 있으면 호스트 테이블 공유
+        if (typeof PlatformDetector !== 'undefined') {
+            return PlatformDetector.detectByHost(url);
+        }
+
         const h = new URL(url).hostname.toLowerCase();
         if (h.includes('smartstore.naver') || h.includes('shopping.naver')) return 'naver';
         if (h.includes('coupang.com')) return 'coupang';
@@ -73,7 +78,8 @@ class ProductParser {
         await this.scrollToLoadContent();
 
         const platform = this.detectPlatform(url);
-        const sel = this.platformSelectors[platform];
+        // 전용 선택자가 없는 플랫폼(타오바오, 1688 등)은 범용 선택자 사용
+        const sel = this.platformSelectors[platform] || this.platformSelectors.generic;
         const name = this.extractText(sel.name) || this.extractNameFromTitle();
         const price = this.extractPrice(sel.price) || this.extractPriceFromPage();
         const images = this.extractAllImages(sel.images, platform);
@@ -124,7 +130,7 @@ class ProductParser {
 
         // 2. 상세 설명 영역으로 명시적 스크롤 (중요!)
         const platform = this.detectPlatform(window.location.href);
-        const sel = this.platformSelectors[platform];
+        const sel = this.platformSelectors[platform] || this.platformSelectors.generic;
 
         if (sel && sel.description) {
             for (const selector of sel.description) {
@@ -810,9 +816,14 @@ class ProductParser {
 
         // 플랫폼별 상품 카드 선택자
         const selectors = {
-            naver: ['li._2AdXdFKc', 'div.basicList_item__2XT81', 'ul.list_basis > li', '.product_item', 'li.baby-product'],
-            coupang: ['li.baby-product', 'a.search-product-link', 'li.renew-badge'],
-            aliexpress: ['.manhattan--container--1lP57Ag', '.search-card-item', '.list--gallery--34TropR > a', '.item-card'],
+            naver: ['div[class*="product_item__"]', 'div[class*="adProduct_item__"]', 'li._2AdXdFKc', 'div.basicList_item__2XT81', 'ul.list_basis > li', '.product_item', 'li.baby-product'],
+            coupang: ['li.search-product', 'li[class*="ProductUnit"]', 'li.baby-product', 'a.search-product-link', 'li.renew-badge'],
+            gmarket: ['div.box__item-container', 'li.box__component-itemcard', '.box__component'],
+            auction: ['div.component--item_card', 'div.section--itemcard', '.itemcard'],
+            '11st': ['li[id^="product"]', 'div.c-card-item', 'li.c_prd_item'],
+            aliexpress: ['.search-card-item', '[class*="card-out-wrapper"]', '.manhattan--container--1lP57Ag', '.list--gallery--34TropR > a', '.item-card'],
+            taobao: ['[class*="doubleCardWrapper"]', '.item.J_MouserOnverReq', '[class*="Card--doubleCard"]'],
+            '1688': ['.sm-offer-item', '[class*="search-offer-item"]', '.offer-list-row-offer', '.space-offer-card-box'],
             generic: ['.product-item', '.product-card', '.item-card', 'li.item', '.goods_list li']
         };
 
@@ -858,6 +869,83 @@ class ProductParser {
         return cards;
     }
 
+    /**
+     * 상품 카드 요약 (검색 결과/목록 페이지)
+     * @param {Element} card - detectProductCards()가 찾은 카드 요소
+     * @returns {Object|null} { url, title, price, sales, image }
+     */
+    extractCardSummary(card) {
+        const anchors = card.tagName === 'A'
+            ? [card, ...card.querySelectorAll('a[href]')]
+            : Array.from(card.querySelectorAll('a[href]'));
+        const isProductUrl = (href) => typeof PlatformDetector !== 'undefined' && PlatformDetector.isProductPage(href);
+
+        // 상품 상세 URL 패턴에 맞는 링크 우선 (광고 리다이렉트 링크는 차선)
+        const anchor = anchors.find(a => isProductUrl(a.href)) ||
+            anchors.find(a => a.href && a.href.startsWith('http'));
+        if (!anchor) return null;
+
+        const img = card.querySelector('img');
+        const titleEl = card.querySelector('[class*="title"], [class*="name"], [class*="Title"]');
+        const title = (titleEl?.textContent || anchor.title || img?.alt || anchor.textContent || '')
+            .trim().replace(/\s+/g, ' ').substring(0, 100);
+
+        return {
+            url: anchor.href,
+            title: title || anchor.href,
+            price: this.extractCardPrice(card),
+            sales: this.extractCardSales(card.innerText || card.textContent || ''),
+            image: img ? (img.src || img.dataset.src || null) : null
+        };
+    }
+
+    /**
+     * 카드에 표시된 판매가
+     * @returns {number|null}
+     */
+    extractCardPrice(card) {
+        const priceEls = card.querySelectorAll('[class*="price"], [class*="Price"]');
+        const texts = [...Array.from(priceEls).map(el => el.textContent), card.innerText || ''];
+
+        for (const text of texts) {
+            // 할인율(30%) 제거 후 통화 기호/단위 주변 숫자
+            const cleaned = text.replace(/\d+\s*%/g, ' ');
+            const match = cleaned.match(/(?:₩|¥|￥|US\s*\$|\$)\s*(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/) ||
+                cleaned.match(/(\d{1,3}(?:,\d{3})+|\d+)\s*원/) ||
+                (text !== texts[texts.length - 1] && cleaned.match(/(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/));
+            if (match) {
+                const price = parseFloat(match[1].replace(/,/g, ''));
+                if (price > 0) return price;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 카드 텍스트에서 판매량 추출 (1,234 sold / 구매 1.2만 / 1万+人付款 / 已售 300)
+     * @returns {number|null}
+     */
+    extractCardSales(text) {
+        const patterns = [
+            /([\d,.]+)\s*(만|천|万|k)?\+?\s*(?:개\s*)?(?:sold|판매|구매)/i,
+            /(?:구매|판매)(?:건수|량)?\s*([\d,.]+)\s*(만|천)?/,
+            /([\d,.]+)\s*(万)?\+?\s*人(?:付款|收货|购买)/,
+            /(?:已售|成交|销量)\s*([\d,.]+)\s*(万)?/
+        ];
+        const multipliers = { '만': 10000, '万': 10000, '천': 1000, 'k': 1000, 'K': 1000 };
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                const value = parseFloat(match[1].replace(/,/g, ''));
+                if (!isNaN(value)) {
+                    return Math.round(value * (multipliers[match[2]] || 1));
+                }
+            }
+        }
+        return null;
+    }
+
     async extractSpecifications(platform) {
         const specs = {};
         try {
@@ -1,6 +1,7 @@
 /**
  * 플랫폼 감지 시스템
  * URL 패턴 기반으로 현재 페이지의 이커머스 플랫폼을 자동 식별
+ * Content Script와 Service Worker(side-effect import)에서 함께 사용
  */
 
 class PlatformDetector {
@@ -47,10 +48,35 @@ class PlatformDetector {
         ],
         [this.PLATFORMS.TAOBAO]: [
             /item\.taobao\.com\/item\.htm/,
-            /detail\.tmall\.com\/item\.htm/
+            /world\.taobao\.com\/item\//,
+            /detail\.tmall\.(com|hk)\/item\.htm/       // chaoshi.detail.tmall.com 포함
         ]
     };
 
+    // 호스트 기준 플랫폼 (검색/상점 페이지 등 상품 상세가 아닌 페이지용)
+    static HOSTS = {
+        [this.PLATFORMS.NAVER]: [/(^|\.)(smartstore|shopping|brand)\.naver\.com$/],
+        [this.PLATFORMS.COUPANG]: [/(^|\.)coupang\.com$/],
+        [this.PLATFORMS.GMARKET]: [/(^|\.)gmarket\.co\.kr$/],
+        [this.PLATFORMS.AUCTION]: [/(^|\.)auction\.co\.kr$/],
+        [this.PLATFORMS.ELEVENST]: [/(^|\.)11st\.co\.kr$/],
+        [this.PLATFORMS.ALIEXPRESS]: [/(^|\.)aliexpress\.(com|us)$/],
+        [this.PLATFORMS.CHINA_1688]: [/(^|\.)1688\.com$/],
+        [this.PLATFORMS.TAOBAO]: [/(^|\.)taobao\.com$/, /(^|\.)tmall\.(com|hk)$/]
+    };
+
+    // 키워드 검색 URL (q: 인코딩된 키워드, page: 1부터 시작)
+    static SEARCH_URLS = {
+        [this.PLATFORMS.NAVER]: (q, page) => `https://search.shopping.naver.com/search/all?query=${q}&pagingIndex=${page}`,
+        [this.PLATFORMS.COUPANG]: (q, page) => `https://www.coupang.com/np/search?q=${q}&page=${page}`,
+        [this.PLATFORMS.GMARKET]: (q, page) => `https://www.gmarket.co.kr/n/search?keyword=${q}&p=${page}`,
+        [this.PLATFORMS.AUCTION]: (q, page) => `https://browse.auction.co.kr/search?keyword=${q}&p=${page}`,
+        [this.PLATFORMS.ELEVENST]: (q, page) => `https://search.11st.co.kr/Search.tmall?kwd=${q}&pageNo=${page}`,
+        [this.PLATFORMS.ALIEXPRESS]: (q, page) => `https://www.aliexpress.com/wholesale?SearchText=${q}&page=${page}`,
+        [this.PLATFORMS.CHINA_1688]: (q, page) => `https://s.1688.com/selloffer/offer_search.htm?keywords=${q}&beginPage=${page}`,
+        [this.PLATFORMS.TAOBAO]: (q, page) => `https://s.taobao.com/search?q=${q}&page=${page}`
+    };
+
     /**
      * 현재 URL에서 플랫폼 감지
      * @param {string} url - 감지할 URL (기본값: 현재 페이지 URL)
@@ -70,6 +96,146 @@ class PlatformDetector {
         return this.PLATFORMS.GENERIC;
     }
 
+    /**
+     * 호스트 기준 플랫폼 감지 (검색 결과, 상점 페이지 등)
+     * @param {string} url - 감지할 URL (기본값: 현재 페이지 URL)
+     * @returns {string} 플랫폼 ID
+     */
+    static detectByHost(url = window.location.href) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return this.PLATFORMS.GENERIC;
+        }
+
+        for (const [platform, patterns] of Object.entries(this.HOSTS)) {
+            if (patterns.some(pattern => pattern.test(hostname))) {
+                return platform;
+            }
+        }
+        return this.PLATFORMS.GENERIC;
+    }
+
+    /**
+     * 키워드 검색 결과 URL 생성
+     * @param {string} platform - 플랫폼 ID
+     * @param {string} keyword - 검색 키워드
+     * @param {number} page - 페이지 번호 (1부터)
+     * @returns {string|null} 검색 URL (지원하지 않는 플랫폼이면 null)
+     */
+    static getSearchUrl(platform, keyword, page = 1) {
+        const build = this.SEARCH_URLS[platform];
+        if (!build || !keyword) return null;
+        return build(encodeURIComponent(keyword), page);
+    }
+
+    /**
+     * 상품 상세 페이지 URL인지 확인
+     * PATTERNS에 등록된 플랫폼(= ParserManager에 파서가 있는 플랫폼)만 해당
+     * @param {string} url - 확인할 URL
+     * @returns {boolean} 상품 페이지 여부
+     */
+    static isProductPage(url) {
+        if (!url) return false;
+
+        return Object.values(this.PATTERNS).some(patterns =>
+            patterns.some(pattern => pattern.test(url))
+        );
+    }
+
+    // 상품을 구분하지 않는 추적/광고용 쿼리 파라미터
+    static TRACKING_PARAMS = [
+        /^utm_/i, /^spm$/, /^scm$/, /^pvid$/, /^algo_/, /^pdp_/, /^gps-id$/, /^_randl_/,
+        /^aff_/, /^sk$/, /^gatewayAdapt$/, /^NaPm$/, /^nl-/, /^n_/, /^src$/, /^traceid$/i,
+        /^clickid$/i, /^q$/, /^searchId$/, /^sourceType$/, /^rank$/, /^trcid$/
+    ];
+
+    /**
+     * 중복 판별용 정규 URL
+     * 해시와 추적 파라미터를 제거하고 나머지 파라미터는 정렬
+     * @param {string} url - 원본 URL
+     * @returns {string} 정규화된 URL
+     */
+    static canonicalUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return url;
+        }
+
+        parsed.hash = '';
+        [...parsed.searchParams.keys()].forEach(key => {
+            if (this.TRACKING_PARAMS.some(pattern => pattern.test(key))) {
+                parsed.searchParams.delete(key);
+            }
+        });
+        parsed.searchParams.sort();
+
+        if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.slice(0, -1);
+        }
+
+        return parsed.toString();
+    }
+
+    // 플랫폼별 상품 ID 추출 (path: 경로 정규식의 첫 그룹, params: 쿼리 파라미터 이름)
+    // 네이버는 smartstore/shopping/brand 도메인이 같은 상품 번호를 사용하고,
+    // 타오바오와 티몰도 같은 id 체계를 사용
+    // 쿠팡의 itemId/vendorItemId는 옵션·판매자 단위 ID이므로 productId로 상품을 구분
+    static PRODUCT_ID_RULES = {
+        [this.PLATFORMS.NAVER]: { path: /\/(?:products|window-products\/[^/]+)\/(\d+)/ },
+        [this.PLATFORMS.COUPANG]: { path: /\/(?:vp|np|vm)\/products\/(\d+)/, params: ['productId'] },
+        [this.PLATFORMS.GMARKET]: { path: /\/item\/(\d+)/, params: ['goodscode', 'goodsCode'] },
+        [this.PLATFORMS.AUCTION]: { params: ['itemno', 'itemNo'] },
+        [this.PLATFORMS.ELEVENST]: { path: /\/products\/(?:m\/)?(\d+)/, params: ['prdNo'] },
+        [this.PLATFORMS.ALIEXPRESS]: { path: /\/item\/(?:[^/]+\/)?(\d+)\.html/, params: ['productId'] },
+        [this.PLATFORMS.CHINA_1688]: { path: /\/offer\/(\d+)\.html/, params: ['offerId'] },
+        [this.PLATFORMS.TAOBAO]: { path: /\/item\/(\d+)\.htm/, params: ['id'] }
+    };
+
+    /**
+     * 상품 ID 추출
+     * @param {string} url - 상품 URL
+     * @returns {Object|null} { platform, id } (추출할 수 없으면 null)
+     */
+    static extractProductId(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return null;
+        }
+
+        const platform = this.detectByHost(url);
+        const rule = this.PRODUCT_ID_RULES[platform];
+        if (!rule) return null;
+
+        const match = rule.path && parsed.pathname.match(rule.path);
+        if (match) {
+            return { platform, id: match[1] };
+        }
+
+        const param = (rule.params || []).find(name => /^[\w-]+$/.test(parsed.searchParams.get(name) || ''));
+        if (param) {
+            return { platform, id: parsed.searchParams.get(param) };
+        }
+
+        return null;
+    }
+
+    /**
+     * 중복 판별용 상품 키 ("플랫폼:상품ID")
+     * 상품 ID를 추출할 수 없는 URL은 정규화된 URL을 키로 사용
+     * @param {string} url - 상품 URL
+     * @returns {string} 상품 키
+     */
+    static productKey(url) {
+        const product = this.extractProductId(url);
+        return product ? `${product.platform}:${product.id}` : this.canonicalUrl(url);
+    }
+
     /**
      * 사용자 설정에 따라 위젯을 표시해야 하는지 확인
      * @param {string} url - 확인할 URL
@@ -77,7 +243,8 @@ class PlatformDetector {
      * @returns {boolean} 위젯 표시 여부
      */
     static async shouldShowWidget(url = window.location.href, userSettings = null) {
-        const platform = this.detect(url);
+        // 상점/검색 페이지에서도 몰털이 등을 쓸 수 있도록 호스트 기준으로 판단
+        const platform = this.detectByHost(url);
 
         // generic 플랫폼은 항상 숨김
         if (platform === this.PLATFORMS.GENERIC) {
@@ -102,6 +269,10 @@ class PlatformDetector {
      * @returns {Promise<Object>} 사용자 설정
      */
     static async getUserSettings() {
+        if (typeof SettingsManager !== 'undefined') {
+            return SettingsManager.get();
+        }
+
         return new Promise((resolve) => {
             chrome.storage.sync.get('settings', (result) => {
                 resolve(result.settings || { targetPlatforms: [] });
@@ -160,8 +331,9 @@ class PlatformDetector {
 }
 
 // Browser global export (V2.0)
-if (typeof window !== 'undefined') {
-    window.PlatformDetector = PlatformDetector;
+// Service Worker(module)에는 window가 없으므로 globalThis에 노출
+if (typeof globalThis !== 'undefined') {
+    globalThis.PlatformDetector = PlatformDetector;
 }
 
 // Export for use in other modules
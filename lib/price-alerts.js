@@ -0,0 +1,91 @@
+/**
+ * 가격/재고 변동 알림
+ * 재수집 결과(diffProduct)를 알림 기준과 비교하고, 발생한 알림 기록을 chrome.storage.local에 보관
+ */
+
+const STORAGE_KEY = 'alertHistory';
+const MAX_HISTORY = 100;
+
+export const ALERT_TYPES = {
+    PRICE_UP: 'price_up',
+    PRICE_DOWN: 'price_down',
+    OUT_OF_STOCK: 'out_of_stock',
+    OPTION_REMOVED: 'option_removed'
+};
+
+/**
+ * 변경 사항 중 알림 대상 추출
+ * @param {Object} changes - diffProduct() 결과
+ * @param {Object} thresholds - { priceRise, priceDrop (%), outOfStock, optionRemoved }
+ * @returns {Array<{type: string, message: string}>} 발생한 알림 (없으면 빈 배열)
+ */
+export function evaluateAlerts(changes, thresholds) {
+    const alerts = [];
+
+    if (changes.price) {
+        const from = Number(changes.price.from);
+        const to = Number(changes.price.to);
+        const rate = from > 0 ? ((to - from) / from) * 100 : 0;
+        const range = `${from.toLocaleString()} → ${to.toLocaleString()} (${rate > 0 ? '+' : ''}${rate.toFixed(1)}%)`;
+
+        if (to > from && rate >= thresholds.priceRise) {
+            alerts.push({ type: ALERT_TYPES.PRICE_UP, message: `가격 인상 ${range}` });
+        } else if (to < from && -rate >= thresholds.priceDrop) {
+            alerts.push({ type: ALERT_TYPES.PRICE_DOWN, message: `가격 인하 ${range}` });
+        }
+    }
+
+    if (thresholds.outOfStock && changes.status?.to === 'out_of_stock') {
+        alerts.push({ type: ALERT_TYPES.OUT_OF_STOCK, message: '품절' });
+    }
+
+    if (thresholds.optionRemoved && changes.options?.removed.length > 0) {
+        alerts.push({
+            type: ALERT_TYPES.OPTION_REMOVED,
+            message: `옵션 삭제: ${changes.options.removed.join(', ')}`
+        });
+    }
+
+    return alerts;
+}
+
+export class AlertHistory {
+    /**
+     * @returns {Promise<Array<Object>>} 알림 기록 (최신 순)
+     */
+    async list() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || [];
+    }
+
+    /**
+     * 알림 기록 추가 (최근 100건만 보관)
+     * @param {Object} entry - { productId, productName, url, alerts }
+     * @returns {Promise<Object>} 추가된 기록 (id는 알림 ID로 사용)
+     */
+    async add(entry) {
+        const record = {
+            id: `price-alert-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            at: new Date().toISOString(),
+            read: false,
+            ...entry
+        };
+
+        const history = [record, ...(await this.list())].slice(0, MAX_HISTORY);
+        await chrome.storage.local.set({ [STORAGE_KEY]: history });
+        return record;
+    }
+
+    async get(id) {
+        return (await this.list()).find(record => record.id === id) || null;
+    }
+
+    async markAllRead() {
+        const history = (await this.list()).map(record => ({ ...record, read: true }));
+        await chrome.storage.local.set({ [STORAGE_KEY]: history });
+    }
+
+    async clear() {
+        await chrome.storage.local.remove(STORAGE_KEY);
+    }
+}
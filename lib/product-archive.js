@@ -0,0 +1,159 @@
+/**
+ * 상품 JSON 백업 (내보내기/가져오기)
+ * 계정 간 이동과 로컬 백업용. 상품은 BaseParser.parseProduct()와 같은 구조로 저장하고
+ * 형식이 바뀌면 ARCHIVE_VERSION을 올리고 MIGRATIONS에 변환 함수를 추가
+ */
+
+export const ARCHIVE_FORMAT = 'sellerboard-products';
+export const ARCHIVE_VERSION = 1;
+
+// 이전 버전 → 다음 버전 변환 (version: (archive) => archive)
+const MIGRATIONS = {};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// products.status
+const STATUSES = ['draft', 'active', 'out_of_stock'];
+
+/**
+ * products 행 → 백업 상품 (parseProduct() 구조)
+ * price는 수집가, salePrice/cost/status는 사용자가 관리하는 판매가·원가·상태
+ * @param {Object} row - products 행
+ * @returns {Object}
+ */
+function fromProductRow(row) {
+    return {
+        name: row.name,
+        originalName: row.original_name || row.name,
+        price: Number(row.collected_price || row.price) || 0,
+        salePrice: Number(row.price) || 0,
+        cost: Number(row.cost) || 0,
+        status: row.status || 'draft',
+        stock: row.status === 'out_of_stock' && !row.stock ? 'out_of_stock' : row.stock,
+        images: row.images || (row.image_url ? [row.image_url] : []),
+        options: row.options || [],
+        variants: row.variants || [],
+        description: { html: row.description || '' },
+        specs: isObject(row.specs) ? row.specs : {},  // 예전 행은 기본값이 '[]'
+        shipping: isObject(row.shipping) ? row.shipping : {},
+        category: row.category || '',
+        platformMetadata: isObject(row.platform_metadata) ? row.platform_metadata : {},
+        platform: row.platform,
+        url: row.sourcing_url,
+        collectedAt: row.collected_at
+    };
+}
+
+/**
+ * 상품 목록 → JSON 백업 파일
+ * @param {Array<Object>} rows - products 행
+ * @returns {Blob}
+ */
+export function toArchive(rows) {
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        count: rows.length,
+        products: rows.map(fromProductRow)
+    };
+
+    return new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * 백업 상품 검증
+ * @returns {string|null} 오류 사유 (정상이면 null)
+ */
+function validateProduct(product) {
+    if (!isObject(product)) return '상품 형식이 아닙니다.';
+    if (typeof product.name !== 'string' || !product.name.trim()) return '상품명이 없습니다.';
+
+    try {
+        if (!/^https?:$/.test(new URL(product.url).protocol)) return '상품 URL이 올바르지 않습니다.';
+    } catch {
+        return '상품 URL이 올바르지 않습니다.';
+    }
+
+    if (typeof product.price !== 'number' || !Number.isFinite(product.price) || product.price < 0) {
+        return '가격이 올바르지 않습니다.';
+    }
+    for (const key of ['salePrice', 'cost']) {
+        if (product[key] !== undefined &&
+            (typeof product[key] !== 'number' || !Number.isFinite(product[key]) || product[key] < 0)) {
+            return `${key} 값이 올바르지 않습니다.`;
+        }
+    }
+    if (product.status !== undefined && !STATUSES.includes(product.status)) {
+        return '상태 값이 올바르지 않습니다.';
+    }
+    if (!Array.isArray(product.images) || product.images.some(src => typeof src !== 'string')) {
+        return '이미지 목록이 올바르지 않습니다.';
+    }
+    if (!Array.isArray(product.options) ||
+        product.options.some(option => !isObject(option) || !Array.isArray(option.values))) {
+        return '옵션 형식이 올바르지 않습니다.';
+    }
+    if (product.variants !== undefined &&
+        (!Array.isArray(product.variants) || product.variants.some(variant => !isObject(variant?.attributes)))) {
+        return '옵션 조합 형식이 올바르지 않습니다.';
+    }
+
+    for (const key of ['specs', 'shipping', 'platformMetadata']) {
+        if (product[key] !== undefined && !isObject(product[key])) return `${key} 형식이 올바르지 않습니다.`;
+    }
+    return null;
+}
+
+/**
+ * JSON 백업 파일 읽기
+ * @param {string} text - 파일 내용
+ * @returns {{ exportedAt: string, products: Array<Object>, invalid: Array<{index: number, name: string, reason: string}> }}
+ *          products는 saveProduct()에 바로 넘길 수 있는 상품 데이터
+ */
+export function parseArchive(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch {
+        throw new Error('JSON 파일을 읽을 수 없습니다.');
+    }
+
+    if (!isObject(archive) || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.products)) {
+        throw new Error('셀러보드 상품 백업 파일이 아닙니다.');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+        throw new Error(`지원하지 않는 백업 버전입니다. (v${archive.version}) 확장 프로그램을 업데이트해주세요.`);
+    }
+
+    for (let version = archive.version; version < ARCHIVE_VERSION; version++) {
+        archive = MIGRATIONS[version](archive);
+    }
+
+    const products = [];
+    const invalid = [];
+
+    archive.products.forEach((product, index) => {
+        const reason = validateProduct(product);
+        if (reason) {
+            invalid.push({ index, name: product?.name || `#${index + 1}`, reason });
+            return;
+        }
+
+        const { originalName, ...rest } = product;
+        products.push({
+            ...rest,
+            name: product.name.trim(),
+            original_name: originalName,
+            description: isObject(product.description)
+                ? product.description
+                : { html: String(product.description || '') },
+            variants: product.variants || [],
+            specs: product.specs || {},
+            shipping: product.shipping || {},
+            platformMetadata: product.platformMetadata || {}
+        });
+    });
+
+    return { exportedAt: archive.exportedAt, products, invalid };
+}
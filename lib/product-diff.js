@@ -0,0 +1,113 @@
+/**
+ * 상품 변경 내역 비교
+ * 재수집한 상품과 저장된 상품을 비교하여 가격/재고/옵션/이미지 변경 사항 생성
+ */
+
+/**
+ * 옵션 목록을 "옵션명:값" 기준 맵으로 변환
+ * @param {Array} options - [{ name, values: [{ value, price, stock }] }]
+ * @returns {Map<string, Object>}
+ */
+function flattenOptions(options) {
+    const map = new Map();
+
+    (options || []).forEach(option => {
+        (option.values || []).forEach(value => {
+            const key = `${option.name}:${value.value}`;
+            map.set(key, { price: value.price ?? null, stock: value.stock ?? null });
+        });
+    });
+
+    return map;
+}
+
+/**
+ * 옵션 변경 사항
+ * @returns {Object|null} { added, removed, changed } (변경 없으면 null)
+ */
+export function diffOptions(before, after) {
+    const prev = flattenOptions(before);
+    const next = flattenOptions(after);
+
+    const added = [...next.keys()].filter(key => !prev.has(key));
+    const removed = [...prev.keys()].filter(key => !next.has(key));
+    const changed = [...next.keys()]
+        .filter(key => prev.has(key))
+        .filter(key => {
+            const a = prev.get(key);
+            const b = next.get(key);
+            return a.price !== b.price || a.stock !== b.stock;
+        })
+        .map(key => ({ option: key, from: prev.get(key), to: next.get(key) }));
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+        return null;
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * 저장된 상품 행과 새로 수집한 행 비교
+ * @param {Object} existing - products 행 (status, price, stock, options, images)
+ * @param {Object} row - 새로 수집한 products 행
+ * @returns {Object} 필드별 변경 사항 (변경 없으면 빈 객체)
+ */
+export function diffProduct(existing, row) {
+    const changes = {};
+
+    // 품절 ↔ 재입고만 변경으로 간주 (그 외 상태는 사용자가 관리)
+    if ((existing.status === 'out_of_stock') !== (row.status === 'out_of_stock')) {
+        changes.status = { from: existing.status, to: row.status };
+    }
+
+    if (Number(existing.price) !== Number(row.price)) {
+        changes.price = { from: existing.price, to: row.price };
+    }
+
+    if (Number(existing.stock) !== Number(row.stock)) {
+        changes.stock = { from: existing.stock, to: row.stock };
+    }
+
+    const options = diffOptions(existing.options, row.options);
+    if (options) {
+        changes.options = options;
+    }
+
+    const prevImages = existing.images || [];
+    const nextImages = row.images || [];
+    if (prevImages.length !== nextImages.length || prevImages.some((src, i) => src !== nextImages[i])) {
+        changes.images = { from: prevImages.length, to: nextImages.length };
+    }
+
+    return changes;
+}
+
+/**
+ * 변경 사항 요약 문구 (알림/팝업 표시용)
+ * @param {Object} changes - diffProduct() 결과
+ * @returns {string}
+ */
+export function summarizeChanges(changes) {
+    const parts = [];
+
+    if (changes.status) {
+        parts.push(changes.status.to === 'out_of_stock' ? '품절' : '재입고');
+    }
+    if (changes.price) {
+        parts.push(`가격 ${Number(changes.price.from).toLocaleString()} → ${Number(changes.price.to).toLocaleString()}`);
+    }
+    if (changes.stock) {
+        parts.push(`재고 ${changes.stock.from} → ${changes.stock.to}`);
+    }
+    if (changes.options) {
+        const { added, removed, changed } = changes.options;
+        if (added.length) parts.push(`옵션 추가 ${added.length}`);
+        if (removed.length) parts.push(`옵션 삭제 ${removed.length}`);
+        if (changed.length) parts.push(`옵션 변경 ${changed.length}`);
+    }
+    if (changes.images) {
+        parts.push(`이미지 ${changes.images.from} → ${changes.images.to}장`);
+    }
+
+    return parts.length > 0 ? parts.join(', ') : '변경 사항 없음';
+}
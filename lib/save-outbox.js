@@ -0,0 +1,142 @@
+/**
+ * 저장 대기열 (Outbox)
+ * Supabase에 연결할 수 없어 저장하지 못한 상품을 IndexedDB에 보관하고
+ * Service Worker가 지수 백오프로 다시 저장 시도
+ */
+
+const DB_NAME = 'sellerboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'saveOutbox';
+
+// 재시도 간격: 30초부터 두 배씩, 최대 1시간
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+export class SaveOutbox {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * DB 열기 (최초 1회)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * object store 요청 실행
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const req = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * 저장 실패한 상품 추가
+     * @param {Object} product - 파싱된 상품 데이터
+     * @param {string} error - 실패 사유
+     * @param {string|null} duplicateAction - 저장 요청 시 지정한 중복 처리 방식
+     * @returns {Promise<Object>} 추가된 항목
+     */
+    async add(product, error, duplicateAction = null) {
+        const now = Date.now();
+        const entry = {
+            product,
+            duplicateAction: duplicateAction || null,
+            attempts: 0,
+            lastError: error,
+            createdAt: now,
+            nextRetryAt: now + BASE_RETRY_DELAY
+        };
+
+        entry.id = await this.request('readwrite', store => store.add(entry));
+        console.log(`[SaveOutbox] 대기열 추가: ${product.name} (#${entry.id})`);
+        return entry;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} 전체 항목 (오래된 순)
+     */
+    async list() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    async get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    async count() {
+        return this.request('readonly', store => store.count());
+    }
+
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+        console.log(`[SaveOutbox] 대기열 삭제: #${id}`);
+    }
+
+    /**
+     * 재시도 실패 기록
+     * @param {Object} entry - 대기열 항목
+     * @param {string} error - 실패 사유
+     * @param {boolean} retryable - 자동 재시도 여부 (false면 사용자가 직접 재시도해야 함)
+     */
+    async recordFailure(entry, error, retryable) {
+        entry.attempts += 1;
+        entry.lastError = error;
+        entry.nextRetryAt = retryable ? Date.now() + SaveOutbox.backoffDelay(entry.attempts) : null;
+        await this.request('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * 재시도 시각이 된 항목
+     * @returns {Promise<Array<Object>>}
+     */
+    async due(now = Date.now()) {
+        const entries = await this.list();
+        return entries.filter(entry => entry.nextRetryAt !== null && entry.nextRetryAt <= now);
+    }
+
+    /**
+     * 다음 자동 재시도 시각
+     * @returns {Promise<number|null>}
+     */
+    async nextRetryAt() {
+        const times = (await this.list())
+            .map(entry => entry.nextRetryAt)
+            .filter(time => time !== null);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * n번째 실패 후 대기 시간 (ms)
+     */
+    static backoffDelay(attempts) {
+        return Math.min(BASE_RETRY_DELAY * 2 ** attempts, MAX_RETRY_DELAY);
+    }
+}
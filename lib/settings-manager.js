@@ -0,0 +1,121 @@
+/**
+ * 사용자 설정 관리
+ * chrome.storage.sync의 'settings'에 저장하며, 저장되지 않은 항목은 기본값 사용
+ * 모니터링 상품 ID 목록은 sync 항목 용량(8KB)을 넘을 수 있어 chrome.storage.local에 따로 저장
+ * Content Script, 옵션 페이지, Service Worker(side-effect import)에서 함께 사용
+ */
+
+class SettingsManager {
+    static STORAGE_KEY = 'settings';
+    static MONITOR_IDS_KEY = 'monitorProductIds';
+
+    // 중복 상품 처리 방식
+    static DUPLICATE_POLICIES = {
+        ASK: 'ask',         // 매번 선택 (배치 수집/재시도에서는 건너뜀)
+        UPDATE: 'update',   // 기존 상품 갱신
+        NEW: 'new',         // 새 상품으로 저장
+        SKIP: 'skip'        // 저장하지 않고 건너뜀
+    };
+
+    static DEFAULTS = {
+        targetPlatforms: [],
+        batch: {
+            pageLoadDelay: 2000,    // 탭 로드 후 수집 전 대기 (ms)
+            itemDelay: 3000         // 항목 간 대기 (ms)
+        },
+        duplicatePolicy: this.DUPLICATE_POLICIES.ASK,
+        images: {
+            maxImages: 20           // 상품당 최대 이미지 수
+        },
+        notifications: {
+            productSaved: true,     // 상품 저장 완료 알림
+            batchComplete: true     // 배치 수집 완료 알림
+        },
+        priceAlerts: {
+            enabled: true,          // 재수집 시 가격/재고 변동 알림
+            priceRise: 5,           // 가격 인상 알림 기준 (%)
+            priceDrop: 0,           // 가격 인하 알림 기준 (%, 0이면 모든 인하)
+            outOfStock: true,       // 품절 알림
+            optionRemoved: true     // 옵션 삭제 알림
+        },
+        pricing: {
+            exchangeRates: {        // 1 단위당 원화 (내보내기 판매가 변환)
+                USD: 1400,
+                CNY: 195
+            },
+            marginRate: 30,         // 마진율 (%)
+            roundUnit: 100,         // 판매가 올림 단위 (원)
+            defaultShippingFee: 3000,   // 배송비 정보가 없을 때 기본 배송비
+            defaultStock: 999       // 재고 정보가 없을 때 기본 재고
+        },
+        monitoring: {
+            enabled: false,         // 저장된 상품 예약 재수집
+            intervalMinutes: 360,   // 재수집 주기 (분)
+            platforms: [],          // 전체 상품을 모니터링할 플랫폼
+            productIds: []          // 개별 선택한 상품 ID (chrome.storage.local)
+        }
+    };
+
+    /**
+     * 설정 가져오기 (기본값과 병합)
+     * @returns {Promise<Object>} 사용자 설정
+     */
+    static async get() {
+        const result = await chrome.storage.sync.get(this.STORAGE_KEY);
+        const local = await chrome.storage.local.get(this.MONITOR_IDS_KEY);
+        const settings = this.merge(this.DEFAULTS, result[this.STORAGE_KEY] || {});
+
+        // 예전 버전은 sync에 저장했으므로 local에 없으면 그 값을 사용 (다음 저장 때 옮겨짐)
+        if (Array.isArray(local[this.MONITOR_IDS_KEY])) {
+            settings.monitoring = { ...settings.monitoring, productIds: local[this.MONITOR_IDS_KEY] };
+        }
+        return settings;
+    }
+
+    /**
+     * 설정 저장 (일부 항목만 전달해도 나머지는 유지)
+     * @param {Object} partial - 변경할 설정
+     * @returns {Promise<Object>} 저장된 전체 설정
+     */
+    static async save(partial) {
+        const settings = this.merge(await this.get(), partial);
+        const { productIds, ...monitoring } = settings.monitoring;
+
+        await chrome.storage.local.set({ [this.MONITOR_IDS_KEY]: productIds });
+        await chrome.storage.sync.set({ [this.STORAGE_KEY]: { ...settings, monitoring } });
+        console.log('[SettingsManager] 설정 저장:', settings);
+        return settings;
+    }
+
+    /**
+     * 기본값으로 초기화
+     * @returns {Promise<Object>} 기본 설정
+     */
+    static async reset() {
+        const { productIds, ...monitoring } = this.DEFAULTS.monitoring;
+
+        await chrome.storage.local.remove(this.MONITOR_IDS_KEY);
+        await chrome.storage.sync.set({ [this.STORAGE_KEY]: { ...this.DEFAULTS, monitoring } });
+        return this.merge(this.DEFAULTS, {});
+    }
+
+    /**
+     * 객체 병합 (중첩 객체는 재귀 병합, 배열/값은 덮어씀)
+     */
+    static merge(base, override) {
+        const result = { ...base };
+
+        Object.entries(override || {}).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+            result[key] = isObject && baseIsObject ? this.merge(base[key], value) : value;
+        });
+
+        return result;
+    }
+}
+
+// 전역 등록 (Content Script, Service Worker 공용)
+if (typeof globalThis !== 'undefined') {
+    globalThis.SettingsManager = SettingsManager;
+}
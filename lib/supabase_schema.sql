@@ -61,3 +61,152 @@ using (auth.uid() = user_id);
 create policy "Users can delete their own products"
 on public.products for delete
 using (auth.uid() = user_id);
+
+-- Shipping info (collected by the extension)
+alter table public.products add column if not exists shipping jsonb default '{}'::jsonb;
+
+-- Platform product key for duplicate checks ("<platform>:<product id>", e.g. "aliexpress:1005001234")
+-- Falls back to the canonical URL when the product id cannot be extracted
+alter table public.products add column if not exists product_key text;
+
+create index if not exists products_user_product_key_idx
+    on public.products (user_id, product_key);
+
+-- Platform-specific raw data from the parser (seller, item ids, ...) kept for JSON backups
+alter table public.products add column if not exists platform_metadata jsonb default '{}'::jsonb;
+
+-- Option combinations (SKUs), one entry per combination of the option groups in "options":
+-- [{ "skuId": "..." | null, "attributes": { "Color": "Red", "Size": "M" }, "price": 12.5, "stock": 3 | null, "image": "..." | null }]
+-- price is absolute in the collected currency
+alter table public.products add column if not exists variants jsonb default '[]'::jsonb;
+
+-- ============================================================
+-- Atomic save + transmission limit
+-- The extension calls this RPC instead of inserting products and
+-- PATCHing profiles.transmission_limit separately. The quota row is
+-- locked by the UPDATE, so concurrent saves (batch + popup) are
+-- serialized and can never drive the limit below zero.
+-- ============================================================
+create or replace function public.save_product_with_quota(p_product jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_remaining int;
+    v_product_id uuid;
+    r public.products;
+begin
+    if v_user_id is null then
+        raise exception 'not_authenticated';
+    end if;
+
+    update public.profiles
+       set transmission_limit = transmission_limit - 1
+     where id = v_user_id
+       and transmission_limit > 0
+    returning transmission_limit into v_remaining;
+
+    if not found then
+        raise exception 'transmission_limit_exceeded';
+    end if;
+
+    r := jsonb_populate_record(null::public.products, p_product);
+
+    insert into public.products (
+        user_id, name, original_name, category, platform, status,
+        price, cost, collected_price, stock,
+        sourcing_url, product_key, image_url, images, description,
+        options, variants, specs, shipping, platform_metadata, collected_at, transmission_log
+    ) values (
+        v_user_id, r.name, coalesce(r.original_name, r.name), r.category, r.platform, coalesce(r.status, 'draft'),
+        coalesce(r.price, 0), coalesce(r.cost, 0), coalesce(r.collected_price, 0), coalesce(r.stock, 0),
+        r.sourcing_url, r.product_key, r.image_url, r.images, r.description,
+        coalesce(r.options, '[]'::jsonb), coalesce(r.variants, '[]'::jsonb), coalesce(r.specs, '[]'::jsonb), coalesce(r.shipping, '{}'::jsonb),
+        coalesce(r.platform_metadata, '{}'::jsonb), coalesce(r.collected_at, now()), coalesce(r.transmission_log, '{}'::jsonb)
+    )
+    returning id into v_product_id;
+
+    return jsonb_build_object('product_id', v_product_id, 'remaining', v_remaining);
+end;
+$$;
+
+revoke all on function public.save_product_with_quota(jsonb) from public;
+grant execute on function public.save_product_with_quota(jsonb) to authenticated;
+
+-- Products are inserted only through save_product_with_quota
+drop policy if exists "Users can insert their own products" on public.products;
+
+-- Users cannot change their own transmission_limit directly
+create or replace function public.protect_transmission_limit()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.transmission_limit is distinct from old.transmission_limit
+       and current_user in ('authenticated', 'anon') then
+        raise exception 'transmission_limit can only be changed by the server';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists protect_transmission_limit on public.profiles;
+create trigger protect_transmission_limit
+before update on public.profiles
+for each row execute function public.protect_transmission_limit();
+
+-- ============================================================
+-- Re-collection updates the existing product (duplicate policy "update")
+-- sourcing_url is stored canonicalized (tracking params removed)
+-- change_log keeps the last 50 diffs: [{ at, changes: { price, stock, options, images } }]
+-- ============================================================
+alter table public.products add column if not exists change_log jsonb default '[]'::jsonb;
+
+create index if not exists products_user_sourcing_url_idx
+    on public.products (user_id, sourcing_url);
+
+-- ============================================================
+-- Price / stock history
+-- One row per collection or re-collection of a product
+-- ============================================================
+create table if not exists public.product_price_history (
+    id bigint generated always as identity primary key,
+    product_id uuid not null references public.products(id) on delete cascade,
+    user_id uuid references auth.users default auth.uid(),
+    price numeric,
+    stock int,
+    collected_at timestamptz default now()
+);
+
+create index if not exists product_price_history_product_idx
+    on public.product_price_history (product_id, collected_at desc);
+
+alter table public.product_price_history enable row level security;
+
+create policy "Users can view their own price history"
+on public.product_price_history for select
+using (auth.uid() = user_id);
+
+create policy "Users can insert their own price history"
+on public.product_price_history for insert
+with check (
+    auth.uid() = user_id
+    and exists (select 1 from public.products p where p.id = product_id and p.user_id = auth.uid())
+);
+
+-- Seed history with the current source price of products collected before this table existed
+-- (history tracks the supplier's collected_price, not the user's sale price)
+insert into public.product_price_history (product_id, user_id, price, stock, collected_at)
+select p.id, p.user_id, coalesce(p.collected_price, p.price), p.stock, coalesce(p.collected_at, p.created_at)
+  from public.products p
+ where not exists (select 1 from public.product_price_history h where h.product_id = p.id);
+
+-- ============================================================
+-- Price / stock change alerts
+-- Per-product alert thresholds ({ "priceRise": 5, "priceDrop": 0 } in percent)
+-- null = use the extension's global thresholds
+-- ============================================================
+alter table public.products add column if not exists alert_thresholds jsonb;
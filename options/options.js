@@ -0,0 +1,280 @@
+/**
+ * 설정 페이지
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    renderPlatformList('platform-list', 'target-platform');
+    renderPlatformList('monitor-platform-list', 'monitor-platform');
+
+    const settings = await SettingsManager.get();
+    fillForm(settings);
+    loadMonitorProducts(settings.monitoring.productIds);
+    renderMonitorStatus();
+
+    document.getElementById('save-btn').addEventListener('click', saveSettings);
+    document.getElementById('reset-btn').addEventListener('click', resetSettings);
+    document.getElementById('monitor-run-btn').addEventListener('click', runMonitorNow);
+});
+
+/**
+ * 플랫폼 체크박스 생성 (일반 사이트 제외)
+ * @param {string} listId - 체크박스를 넣을 요소 ID
+ * @param {string} name - 체크박스 name
+ */
+function renderPlatformList(listId, name) {
+    const list = document.getElementById(listId);
+
+    Object.values(PlatformDetector.PLATFORMS)
+        .filter(platform => platform !== PlatformDetector.PLATFORMS.GENERIC)
+        .forEach(platform => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = name;
+            checkbox.value = platform;
+
+            const text = document.createElement('span');
+            text.textContent = PlatformDetector.getPlatformName(platform);
+
+            label.append(checkbox, text);
+            list.appendChild(label);
+        });
+}
+
+/**
+ * 설정 값을 폼에 반영
+ */
+function fillForm(settings) {
+    document.querySelectorAll('input[name="target-platform"]').forEach(checkbox => {
+        checkbox.checked = settings.targetPlatforms.includes(checkbox.value);
+    });
+
+    document.getElementById('page-load-delay').value = settings.batch.pageLoadDelay / 1000;
+    document.getElementById('item-delay').value = settings.batch.itemDelay / 1000;
+
+    document.querySelectorAll('input[name="duplicate-policy"]').forEach(radio => {
+        radio.checked = radio.value === settings.duplicatePolicy;
+    });
+
+    document.getElementById('max-images').value = settings.images.maxImages;
+    document.getElementById('notify-product-saved').checked = settings.notifications.productSaved;
+    document.getElementById('notify-batch-complete').checked = settings.notifications.batchComplete;
+
+    document.getElementById('rate-usd').value = settings.pricing.exchangeRates.USD;
+    document.getElementById('rate-cny').value = settings.pricing.exchangeRates.CNY;
+    document.getElementById('margin-rate').value = settings.pricing.marginRate;
+    document.getElementById('round-unit').value = settings.pricing.roundUnit;
+    document.getElementById('default-shipping-fee').value = settings.pricing.defaultShippingFee;
+    document.getElementById('default-stock').value = settings.pricing.defaultStock;
+
+    document.getElementById('alert-enabled').checked = settings.priceAlerts.enabled;
+    document.getElementById('alert-price-rise').value = settings.priceAlerts.priceRise;
+    document.getElementById('alert-price-drop').value = settings.priceAlerts.priceDrop;
+    document.getElementById('alert-out-of-stock').checked = settings.priceAlerts.outOfStock;
+    document.getElementById('alert-option-removed').checked = settings.priceAlerts.optionRemoved;
+
+    document.getElementById('monitor-enabled').checked = settings.monitoring.enabled;
+    document.getElementById('monitor-interval').value = String(settings.monitoring.intervalMinutes);
+    document.querySelectorAll('input[name="monitor-platform"]').forEach(checkbox => {
+        checkbox.checked = settings.monitoring.platforms.includes(checkbox.value);
+    });
+    document.querySelectorAll('input[name="monitor-product"]').forEach(checkbox => {
+        checkbox.checked = settings.monitoring.productIds.includes(checkbox.value);
+    });
+}
+
+/**
+ * 모니터링 대상으로 선택할 수 있는 저장된 상품 목록 표시
+ * @param {Array<string>} selectedIds - 선택된 상품 ID
+ */
+async function loadMonitorProducts(selectedIds) {
+    const list = document.getElementById('monitor-product-list');
+
+    const response = await chrome.runtime.sendMessage({ action: 'listProducts' }).catch(() => null);
+    if (!response || !response.success) {
+        list.innerHTML = `<p class="desc">${response?.error || '상품 목록을 불러오지 못했습니다.'}</p>`;
+        return;
+    }
+    if (response.products.length === 0) {
+        list.innerHTML = '<p class="desc">저장된 상품이 없습니다.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    response.products.forEach(product => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'monitor-product';
+        checkbox.value = product.id;
+        checkbox.checked = selectedIds.includes(product.id);
+
+        const name = document.createElement('span');
+        name.textContent = product.name || product.sourcing_url;
+        name.title = name.textContent;
+
+        const platform = document.createElement('span');
+        platform.className = 'platform-tag';
+        platform.textContent = PlatformDetector.getPlatformName(product.platform);
+
+        label.append(checkbox, name, platform);
+        list.appendChild(label);
+    });
+}
+
+/**
+ * 마지막 모니터링 결과 표시
+ */
+async function renderMonitorStatus() {
+    const { monitorStatus } = await chrome.storage.local.get('monitorStatus');
+    const el = document.getElementById('monitor-last-run');
+
+    if (!monitorStatus) {
+        el.textContent = '아직 실행한 적이 없습니다.';
+        return;
+    }
+
+    const time = new Date(monitorStatus.finishedAt || monitorStatus.startedAt).toLocaleString('ko-KR');
+    el.textContent = monitorStatus.error
+        ? `마지막 실행 ${time} · 오류: ${monitorStatus.error}`
+        : `마지막 실행 ${time} · 확인 ${monitorStatus.checked} · 변동 ${monitorStatus.changed.length} · 실패 ${monitorStatus.failed}`;
+}
+
+async function runMonitorNow() {
+    const button = document.getElementById('monitor-run-btn');
+    button.disabled = true;
+    showStatus('저장된 설정으로 가격 모니터링을 실행합니다...', 'success');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'runMonitor' });
+        if (response && response.success) {
+            showStatus(`✅ 모니터링 완료 (변동 ${response.summary.changed.length}개)`, 'success');
+        } else {
+            showStatus(response?.error || '모니터링 실행 중 오류가 발생했습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('모니터링 실행 오류:', error);
+        showStatus('모니터링 실행 중 오류가 발생했습니다.', 'error');
+    } finally {
+        button.disabled = false;
+        renderMonitorStatus();
+    }
+}
+
+/**
+ * 폼 값 읽기
+ * @returns {Object|null} 설정 (입력값이 잘못되면 null)
+ */
+function readForm() {
+    const seconds = (id) => Number(document.getElementById(id).value);
+    const pageLoadDelay = seconds('page-load-delay');
+    const itemDelay = seconds('item-delay');
+    const maxImages = parseInt(document.getElementById('max-images').value, 10);
+
+    if (!(pageLoadDelay >= 0 && pageLoadDelay <= 30) || !(itemDelay >= 0 && itemDelay <= 60)) {
+        showStatus('대기 시간은 0~30초(페이지 로드), 0~60초(상품 간) 사이로 입력해주세요.', 'error');
+        return null;
+    }
+    if (!(maxImages >= 1 && maxImages <= 50)) {
+        showStatus('최대 이미지 수는 1~50 사이로 입력해주세요.', 'error');
+        return null;
+    }
+
+    const priceRise = Number(document.getElementById('alert-price-rise').value);
+    const priceDrop = Number(document.getElementById('alert-price-drop').value);
+    if (!(priceRise >= 0 && priceRise <= 100) || !(priceDrop >= 0 && priceDrop <= 100)) {
+        showStatus('가격 변동 알림 기준은 0~100% 사이로 입력해주세요.', 'error');
+        return null;
+    }
+
+    const number = (id) => Number(document.getElementById(id).value);
+    const pricing = {
+        exchangeRates: { USD: number('rate-usd'), CNY: number('rate-cny') },
+        marginRate: number('margin-rate'),
+        roundUnit: number('round-unit'),
+        defaultShippingFee: number('default-shipping-fee'),
+        defaultStock: Math.round(number('default-stock'))
+    };
+    if (!(pricing.exchangeRates.USD > 0) || !(pricing.exchangeRates.CNY > 0)) {
+        showStatus('환율은 0보다 커야 합니다.', 'error');
+        return null;
+    }
+    if (!(pricing.marginRate >= 0) || !(pricing.roundUnit >= 10) || pricing.roundUnit % 10 !== 0 ||
+        !(pricing.defaultShippingFee >= 0) || !(pricing.defaultStock >= 0)) {
+        showStatus('마진율·배송비·재고는 0 이상, 올림 단위는 10원 단위로 입력해주세요.', 'error');
+        return null;
+    }
+
+    const checkedValues = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`))
+        .map(checkbox => checkbox.value);
+    const monitoring = {
+        enabled: document.getElementById('monitor-enabled').checked,
+        intervalMinutes: Number(document.getElementById('monitor-interval').value),
+        platforms: checkedValues('monitor-platform'),
+        productIds: checkedValues('monitor-product')
+    };
+
+    // 상품 목록을 불러오지 못한 경우(로그인 전 등) 기존 선택 유지
+    if (!document.querySelector('input[name="monitor-product"]')) {
+        delete monitoring.productIds;
+    }
+
+    if (monitoring.enabled && monitoring.platforms.length === 0 && monitoring.productIds?.length === 0) {
+        showStatus('모니터링할 플랫폼 또는 상품을 선택해주세요.', 'error');
+        return null;
+    }
+
+    return {
+        targetPlatforms: checkedValues('target-platform'),
+        batch: {
+            pageLoadDelay: Math.round(pageLoadDelay * 1000),
+            itemDelay: Math.round(itemDelay * 1000)
+        },
+        duplicatePolicy: document.querySelector('input[name="duplicate-policy"]:checked')?.value ||
+            SettingsManager.DEFAULTS.duplicatePolicy,
+        images: { maxImages },
+        notifications: {
+            productSaved: document.getElementById('notify-product-saved').checked,
+            batchComplete: document.getElementById('notify-batch-complete').checked
+        },
+        pricing,
+        priceAlerts: {
+            enabled: document.getElementById('alert-enabled').checked,
+            priceRise,
+            priceDrop,
+            outOfStock: document.getElementById('alert-out-of-stock').checked,
+            optionRemoved: document.getElementById('alert-option-removed').checked
+        },
+        monitoring
+    };
+}
+
+async function saveSettings() {
+    const settings = readForm();
+    if (!settings) return;
+
+    try {
+        await SettingsManager.save(settings);
+        showStatus('✅ 저장되었습니다.', 'success');
+    } catch (error) {
+        console.error('설정 저장 오류:', error);
+        showStatus('설정 저장 중 오류가 발생했습니다.', 'error');
+    }
+}
+
+async function resetSettings() {
+    if (!confirm('모든 설정을 기본값으로 되돌릴까요?')) return;
+
+    fillForm(await SettingsManager.reset());
+    showStatus('기본값으로 초기화되었습니다.', 'success');
+}
+
+function showStatus(text, type) {
+    const el = document.getElementById('status-message');
+    el.textContent = text;
+    el.className = `status-message ${type}`;
+}
@@ -4,6 +4,9 @@
  */
 
 class BaseParser {
+    // 옵션 조합(SKU) 최대 개수 (옵션 그룹이 많을 때 곱집합 폭증 방지)
+    static MAX_VARIANTS = 1000;
+
     constructor(platform) {
         this.platform = platform;
         this.selectors = this.getSelectors();
@@ -11,11 +14,11 @@ class BaseParser {
 
     /**
      * 플랫폼별 CSS 선택자 반환
-     * 각 파서에서 구현 필수
+     * 각 파서에서 구현 (기본 파서는 선택자 없이 링크 수집 등 공통 기능만 사용)
      * @returns {Object} CSS 선택자 객체
      */
     getSelectors() {
-        throw new Error('getSelectors() must be implemented by subclass');
+        return {};
     }
 
     /**
@@ -29,6 +32,9 @@ class BaseParser {
             // Lazy Loading 콘텐츠 로드를 위한 스크롤
             await this.scrollToLoadContent();
 
+            // 구조화 데이터는 페이지마다 다시 읽음
+            this.structuredData = null;
+
             const product = {
                 name: await this.extractName(),
                 price: await this.extractPrice(),
@@ -47,6 +53,9 @@ class BaseParser {
                 collectedAt: new Date().toISOString()
             };
 
+            product.variants = await this.extractVariants(product);
+            this.applyStructuredData(product);
+
             // 옵션이 없는 경우 기본 옵션 생성 (단일 상품)
             if (product.options.length === 0) {
                 console.log(`[${this.platform}] No options found. Creating default option.`);
@@ -129,10 +138,10 @@ class BaseParser {
      */
     async extractName() {
         const selector = this.selectors.name;
-        if (!selector) throw new Error('Name selector not defined');
+        const element = selector ? document.querySelector(selector) : null;
+        const name = element ? element.textContent.trim() : '';
 
-        const element = document.querySelector(selector);
-        return element ? element.textContent.trim() : '';
+        return name || this.getStructuredData().name;
     }
 
     /**
@@ -140,11 +149,8 @@ class BaseParser {
      * @returns {Promise<number>}
      */
     async extractPrice() {
-        const selectors = this.selectors.price;
-        if (!selectors) throw new Error('Price selector not defined');
-
         // 선택자가 배열인 경우 순차적으로 시도
-        const selectorList = Array.isArray(selectors) ? selectors : [selectors];
+        const selectorList = [].concat(this.selectors.price || []);
 
         for (const selector of selectorList) {
             const elements = document.querySelectorAll(selector);
@@ -163,23 +169,20 @@ class BaseParser {
             }
         }
 
-        // 2. Fallback: 메타 태그 검색
-        const metaPrice = document.querySelector('meta[property="og:price:amount"], meta[itemprop="price"]');
-        if (metaPrice) {
-            const price = this.parsePrice(metaPrice.content);
-            if (price > 0) {
-                console.log(`[${this.platform}] Price found in meta tag: ${price}`);
-                return price;
-            }
+        // 2. Fallback: 구조화 데이터 (JSON-LD, 마이크로데이터, Open Graph)
+        const structuredPrice = this.getStructuredData().price;
+        if (structuredPrice > 0) {
+            console.log(`[${this.platform}] Price found in structured data: ${structuredPrice}`);
+            return structuredPrice;
         }
 
         // 3. Last Resort: 페이지 전체에서 가격 패턴 검색 (가장 큰 숫자 또는 빈도수 높은 패턴)
         // 주의: 날짜나 전화번호를 가격으로 오인할 수 있으므로 보수적으로 접근
         console.log(`[${this.platform}] Price selectors failed. Attempting deep body search...`);
         try {
-            // "원" 또는 "$" 주변의 숫자를 찾음
+            // "원" 또는 "$" 주변의 숫자를 찾음 (전화번호 "1588-1234" 같은 하이픈/점 뒤의 숫자는 제외)
             const bodyText = document.body.innerText;
-            const priceRegex = /([0-9,]+)(?:원|\s*KW|\s*KRW)|(?:US\s*)?\$([0-9,]+\.?\d*)/g;
+            const priceRegex = /(?<![\d\-.])(\d{1,3}(?:,\d{3})+|\d+)(?:원|\s*KW|\s*KRW)|(?:US\s*)?\$([0-9,]+\.?\d*)/g;
             let match;
             const foundPrices = [];
 
@@ -237,19 +240,18 @@ class BaseParser {
      */
     async extractImages() {
         const selector = this.selectors.images;
-        if (!selector) return [];
-
-        const elements = document.querySelectorAll(selector);
         const images = [];
 
-        elements.forEach(el => {
-            const src = el.src || el.dataset.src || el.getAttribute('data-original');
-            if (src && !images.includes(src)) {
-                images.push(src);
-            }
-        });
+        if (selector) {
+            document.querySelectorAll(selector).forEach(el => {
+                const src = el.src || el.dataset.src || el.getAttribute('data-original');
+                if (src && !images.includes(src)) {
+                    images.push(src);
+                }
+            });
+        }
 
-        return images;
+        return images.length > 0 ? images : this.getStructuredData().images;
     }
 
     /**
@@ -261,6 +263,214 @@ class BaseParser {
         return [];
     }
 
+    /**
+     * 옵션 조합(SKU) 추출
+     * 플랫폼이 조합별 가격/재고를 제공하면 각 파서에서 재정의하고, 기본은 옵션 그룹의 곱집합으로 계산
+     * @param {Object} product - 옵션, 가격 등을 추출한 상품 정보
+     * @returns {Promise<Array>} [{ skuId, attributes: { 옵션명: 옵션값 }, price, stock, image }]
+     *          price는 조합의 절대 가격(수집 통화), stock은 수량 (알 수 없으면 null)
+     */
+    async extractVariants(product) {
+        return this.buildVariants(product.options, product.price);
+    }
+
+    /**
+     * 옵션 그룹 → 옵션 조합
+     * 옵션값의 price는 priceType이 'absolute'면 절대 가격, 그 외에는 기본가에 더하는 추가금
+     * @param {Array} options - extractOptions() 결과
+     * @param {number} basePrice - 상품 기본가
+     * @returns {Array} extractVariants() 형식 (skuId는 null)
+     */
+    buildVariants(options, basePrice) {
+        const groups = options.filter(group => group.values && group.values.length > 0);
+        if (groups.length === 0) return [];
+
+        // 같은 이름의 옵션 그룹은 번호를 붙여 구분
+        const names = [];
+        groups.forEach(group => {
+            const name = group.name || '옵션';
+            names.push(names.includes(name) ? `${name} (${names.length + 1})` : name);
+        });
+
+        let combos = groups.reduce(
+            (acc, group) => acc.flatMap(combo => group.values.map(value => [...combo, value])),
+            [[]]
+        );
+        if (combos.length > BaseParser.MAX_VARIANTS) {
+            console.warn(`[${this.platform}] 옵션 조합 ${combos.length}개 중 ${BaseParser.MAX_VARIANTS}개만 저장`);
+            combos = combos.slice(0, BaseParser.MAX_VARIANTS);
+        }
+
+        return combos.map(combo => {
+            const absolute = combo
+                .filter(value => value.priceType === 'absolute' && value.price > 0)
+                .map(value => value.price);
+            const extra = combo
+                .filter(value => value.priceType !== 'absolute')
+                .reduce((sum, value) => sum + (Number(value.price) || 0), 0);
+
+            return {
+                skuId: null,
+                attributes: Object.fromEntries(combo.map((value, i) => [names[i], String(value.text || value.value)])),
+                price: (absolute.length > 0 ? Math.max(...absolute) : basePrice) + extra,
+                stock: this.combineStock(combo.map(value => value.stock)),
+                image: combo.map(value => value.imageUrl || value.image).find(Boolean) || null
+            };
+        });
+    }
+
+    /**
+     * 페이지 SKU 데이터의 속성 목록과 SKU 목록 → 옵션 그룹
+     * 옵션값 가격은 그 값을 포함한 SKU 중 최저가(절대 가격), 재고는 합계
+     * @param {Array} properties - [{ name, values: [{ id, text, image }] }]
+     * @param {Array} variants - extractVariants() 형식 (attributes 키는 속성 이름)
+     * @returns {Array} extractOptions() 형식
+     */
+    optionsFromVariants(properties, variants) {
+        return properties.map(prop => ({
+            name: prop.name,
+            type: 'sku',
+            values: prop.values.map(value => {
+                const matched = variants.filter(variant => variant.attributes[prop.name] === value.text);
+                const prices = matched.map(variant => variant.price).filter(price => price > 0);
+                const quantities = matched.map(variant => variant.stock).filter(stock => typeof stock === 'number');
+                const stock = quantities.reduce((sum, n) => sum + n, 0);
+
+                return {
+                    text: value.text,
+                    value: value.id,
+                    image: value.image,
+                    ...(prices.length > 0 && { price: Math.min(...prices), priceType: 'absolute' }),
+                    stock: quantities.length === 0 ? 'in_stock' : (stock > 0 ? stock : 'out_of_stock')
+                };
+            })
+        })).filter(option => option.values.length > 0);
+    }
+
+    /**
+     * SKU 재고 합계 (수량을 아는 SKU가 없으면 null)
+     * @returns {number|null}
+     */
+    totalVariantStock(variants) {
+        const quantities = variants.map(variant => variant.stock).filter(stock => typeof stock === 'number');
+        return quantities.length > 0 ? quantities.reduce((sum, n) => sum + n, 0) : null;
+    }
+
+    /**
+     * 옵션값별 재고 → 조합 재고 (하나라도 품절이면 0, 수량을 알면 최솟값)
+     * @param {Array} stocks - 수량 또는 'in_stock' / 'out_of_stock'
+     * @returns {number|null}
+     */
+    combineStock(stocks) {
+        if (stocks.some(stock => stock === 'out_of_stock' || stock === 0)) return 0;
+
+        const quantities = stocks.filter(stock => typeof stock === 'number');
+        return quantities.length > 0 ? Math.min(...quantities) : null;
+    }
+
+    /**
+     * 옵션 문구에서 옵션값과 가격 분리
+     * "블랙 (+1,000원)"은 추가금, "블랙 / 270 35,900원"처럼 끝에 붙은 가격은 절대 가격
+     * @param {string} text - 옵션 문구
+     * @returns {{ value: string, price: number, priceType?: string }}
+     */
+    parseOptionText(text) {
+        const extra = text.match(/\(\s*([+\-])\s*(\d{1,3}(?:,\d{3})*)\s*원?\s*\)/);
+        if (extra) {
+            const price = parseInt(extra[2].replace(/,/g, ''), 10);
+            return {
+                value: text.replace(extra[0], '').trim(),
+                price: extra[1] === '-' ? -price : price
+            };
+        }
+
+        const absolute = text.match(/\s(\d{1,3}(?:,\d{3})+|\d+)\s*원\s*$/);
+        if (absolute) {
+            return {
+                value: text.slice(0, absolute.index).trim(),
+                price: parseInt(absolute[1].replace(/,/g, ''), 10),
+                priceType: 'absolute'
+            };
+        }
+
+        return { value: text, price: 0 };
+    }
+
+    /**
+     * 페이지에 포함된 JSON 상태 읽기 (window.runParams 등)
+     * Content Script에서는 페이지의 window 변수를 볼 수 없으므로 인라인 <script> 본문에서 직접 파싱
+     * @param {RegExp} marker - JSON 객체 바로 앞까지 일치하는 패턴 (예: /window\.runParams\s*=\s*\{\s*data\s*:/)
+     * @returns {Object|null} 파싱한 객체 (없거나 파싱에 실패하면 null)
+     */
+    extractEmbeddedJson(marker) {
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent;
+            const match = marker.exec(text);
+            if (!match) continue;
+
+            const json = this.sliceJsonObject(text, match.index + match[0].length);
+            if (!json) continue;
+
+            try {
+                return JSON.parse(json);
+            } catch (e) {
+                console.warn(`[${this.platform}] 페이지 JSON 파싱 실패 (${marker}):`, e.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * start 이후 첫 '{'부터 짝이 맞는 '}'까지 잘라냄 (문자열 안의 괄호는 무시)
+     * @returns {string|null}
+     */
+    sliceJsonObject(text, start) {
+        const begin = text.indexOf('{', start);
+        if (begin === -1) return null;
+
+        let depth = 0;
+        let quote = null;
+
+        for (let i = begin; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                return text.slice(begin, i + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 중첩된 객체에서 key 속성 값 찾기 (너비 우선으로 처음 찾은 값)
+     * 페이지 상태 구조가 버전마다 달라 경로 대신 속성 이름으로 찾음
+     * @param {Object} root - 탐색할 객체
+     * @param {string} key - 속성 이름
+     * @param {number} maxDepth - 최대 탐색 깊이
+     * @returns {*} 값 (없으면 undefined)
+     */
+    findEmbeddedValue(root, key, maxDepth = 8) {
+        let level = [root];
+
+        for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+            const next = [];
+            for (const node of level) {
+                if (!node || typeof node !== 'object') continue;
+                if (!Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, key)) return node[key];
+                next.push(...Object.values(node));
+            }
+            level = next;
+        }
+        return undefined;
+    }
+
     /**
      * 상세 설명 추출
      * @returns {Promise<Object>}
@@ -284,10 +494,10 @@ class BaseParser {
      */
     async extractStock() {
         const selector = this.selectors.stock;
-        if (!selector) return 'unknown';
+        const element = selector ? document.querySelector(selector) : null;
+        const availability = this.getStructuredData().availability;
 
-        const element = document.querySelector(selector);
-        if (!element) return 'unknown';
+        if (!element) return availability || 'unknown';
 
         const text = element.textContent.toLowerCase();
 
@@ -297,16 +507,12 @@ class BaseParser {
             return 'in_stock';
         }
 
+        // 구조화 데이터의 판매 상태 (Schema.org availability)
+        if (availability) return availability;
+
         // 품절 문구가 없고 가격이 존재하면 재고 있음으로 간주
         const price = await this.extractPrice();
         if (price > 0) {
-            // 메타 데이터 추가 확인 (Schema.org)
-            const availability = document.querySelector('meta[itemprop="availability"]');
-            if (availability && availability.content) {
-                if (availability.content.includes('OutOfStock') || availability.content.includes('SoldOut')) {
-                    return 'out_of_stock';
-                }
-            }
             return 'in_stock';
         }
 
@@ -337,10 +543,10 @@ class BaseParser {
      */
     async extractCategory() {
         const selector = this.selectors.category;
-        if (!selector) return '';
+        const element = selector ? document.querySelector(selector) : null;
+        const category = element ? element.textContent.trim() : '';
 
-        const element = document.querySelector(selector);
-        return element ? element.textContent.trim() : '';
+        return category || this.getStructuredData().category;
     }
 
     /**
@@ -351,6 +557,213 @@ class BaseParser {
         return {};
     }
 
+    /**
+     * 구조화 데이터 (페이지당 한 번 읽어 둠)
+     * @returns {Object} readStructuredData() 결과
+     */
+    getStructuredData() {
+        if (!this.structuredData) {
+            this.structuredData = this.readStructuredData();
+        }
+        return this.structuredData;
+    }
+
+    /**
+     * 구조화 데이터 읽기: Schema.org JSON-LD → 마이크로데이터 → Open Graph 순으로 빈 항목을 채움
+     * 선택자로 찾지 못한 항목을 본문 텍스트 추정보다 먼저 채우는 데 사용
+     * @returns {Object} { name, price, currency, images, brand, sku, gtin, mpn, availability, category, description }
+     *          price는 숫자(없으면 0), availability는 'in_stock' / 'out_of_stock' / ''
+     */
+    readStructuredData() {
+        const data = {
+            name: '', price: 0, currency: '', images: [], brand: '', sku: '', gtin: '', mpn: '',
+            availability: '', category: '', description: ''
+        };
+
+        [this.readJsonLd(), this.readMicrodata(), this.readOpenGraph()].forEach(source => {
+            Object.entries(source).forEach(([key, value]) => {
+                const empty = Array.isArray(data[key]) ? data[key].length === 0 : !data[key];
+                if (empty && value) data[key] = value;
+            });
+        });
+
+        if (data.name || data.price > 0) {
+            console.log(`[${this.platform}] Structured data:`, data);
+        }
+        return data;
+    }
+
+    /**
+     * JSON-LD의 Product (offers: Offer / AggregateOffer)와 BreadcrumbList
+     * @returns {Object} readStructuredData() 항목 중 찾은 것
+     */
+    readJsonLd() {
+        const nodes = [];
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                // 배열과 @graph는 펼쳐서 노드 목록으로
+                const stack = [JSON.parse(script.textContent)];
+                while (stack.length > 0) {
+                    const node = stack.pop();
+                    if (Array.isArray(node)) {
+                        stack.push(...node);
+                    } else if (node && typeof node === 'object') {
+                        nodes.push(node);
+                        if (node['@graph']) stack.push(node['@graph']);
+                    }
+                }
+            } catch (e) {
+                console.warn(`[${this.platform}] JSON-LD 파싱 실패:`, e.message);
+            }
+        });
+
+        const isType = (node, type) => [].concat(node?.['@type'] || []).includes(type);
+        const textOf = value => (typeof value === 'object' && value !== null ? value.name || '' : String(value ?? '')).trim();
+
+        const breadcrumb = nodes.find(node => isType(node, 'BreadcrumbList'));
+        const category = (breadcrumb?.itemListElement || [])
+            .slice()
+            .sort((a, b) => (a.position || 0) - (b.position || 0))
+            .map(item => textOf(item.name ? item : item.item))
+            .filter(Boolean)
+            .join(' > ');
+
+        const product = nodes.find(node => isType(node, 'Product') || isType(node, 'ProductGroup'));
+        if (!product) return { category };
+
+        // AggregateOffer는 최저가(lowPrice), 하위 offers도 함께 확인
+        const offers = [].concat(product.offers || []).flatMap(offer =>
+            isType(offer, 'AggregateOffer') ? [offer, ...[].concat(offer.offers || [])] : [offer]
+        );
+        const prices = offers
+            .map(offer => offer.lowPrice ?? offer.price ?? offer.priceSpecification?.price)
+            .map(price => this.parsePrice(String(price ?? '')))
+            .filter(price => price > 0);
+        const availabilities = offers.map(offer => this.normalizeAvailability(offer.availability)).filter(Boolean);
+
+        const images = [].concat(product.image || [])
+            .map(image => (typeof image === 'object' ? image.url || image.contentUrl : image))
+            .filter(src => typeof src === 'string' && src)
+            .map(src => this.absoluteUrl(src));
+
+        return {
+            name: textOf(product.name),
+            price: prices.length > 0 ? Math.min(...prices) : 0,
+            currency: offers.map(offer => offer.priceCurrency).find(Boolean) || '',
+            images: [...new Set(images)],
+            brand: textOf(product.brand),
+            sku: textOf(product.sku),
+            gtin: textOf(product.gtin13 || product.gtin || product.gtin14 || product.gtin12 || product.gtin8),
+            mpn: textOf(product.mpn),
+            availability: availabilities.includes('in_stock') ? 'in_stock' : availabilities[0] || '',
+            category: textOf(product.category) || category,
+            description: textOf(product.description)
+        };
+    }
+
+    /**
+     * 마이크로데이터 (itemtype="https://schema.org/Product")
+     * @returns {Object} readStructuredData() 항목 중 찾은 것
+     */
+    readMicrodata() {
+        const root = document.querySelector('[itemtype*="schema.org/Product"]');
+        if (!root) return {};
+
+        const valueOf = el => {
+            if (!el) return '';
+            const value = el.getAttribute('content') || el.getAttribute('href') || el.getAttribute('src') ||
+                el.getAttribute('value') || el.textContent;
+            return String(value || '').trim();
+        };
+        const prop = name => root.querySelector(`[itemprop="${name}"]`);
+        const brand = prop('brand');
+        // 브랜드/판매자 등 하위 항목의 name은 제외
+        const name = Array.from(root.querySelectorAll('[itemprop="name"]'))
+            .find(el => el.closest('[itemscope]') === root);
+
+        return {
+            name: valueOf(name),
+            price: this.parsePrice(valueOf(prop('lowPrice') || prop('price'))),
+            currency: valueOf(prop('priceCurrency')),
+            images: Array.from(root.querySelectorAll('[itemprop="image"]')).map(valueOf).filter(Boolean),
+            brand: brand?.hasAttribute('itemscope') ? valueOf(brand.querySelector('[itemprop="name"]')) : valueOf(brand),
+            sku: valueOf(prop('sku')),
+            gtin: valueOf(prop('gtin13') || prop('gtin')),
+            mpn: valueOf(prop('mpn')),
+            availability: this.normalizeAvailability(valueOf(prop('availability'))),
+            description: valueOf(prop('description'))
+        };
+    }
+
+    /**
+     * Open Graph / 상품 메타 태그 (og:title, og:image, product:price:amount 등)
+     * @returns {Object} readStructuredData() 항목 중 찾은 것
+     */
+    readOpenGraph() {
+        const meta = (...names) => {
+            for (const name of names) {
+                const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+                if (el?.content) return el.content.trim();
+            }
+            return '';
+        };
+
+        return {
+            name: meta('og:title'),
+            price: this.parsePrice(meta('product:price:amount', 'og:price:amount', 'product:sale_price:amount')),
+            currency: meta('product:price:currency', 'og:price:currency'),
+            images: Array.from(document.querySelectorAll('meta[property="og:image"]'))
+                .map(el => this.absoluteUrl(el.content))
+                .filter(Boolean),
+            brand: meta('product:brand', 'og:brand'),
+            sku: meta('product:retailer_item_id'),
+            availability: this.normalizeAvailability(meta('product:availability', 'og:availability')),
+            description: meta('og:description')
+        };
+    }
+
+    /**
+     * Schema.org / Open Graph 판매 상태 → 'in_stock' / 'out_of_stock'
+     * @param {string} value - 예: "https://schema.org/InStock", "out of stock"
+     * @returns {string} 알 수 없으면 ''
+     */
+    normalizeAvailability(value) {
+        const text = String(value || '').replace(/\s+/g, '').toLowerCase();
+        if (!text) return '';
+        if (/outofstock|soldout|discontinued/.test(text)) return 'out_of_stock';
+        if (/instock|limitedavailability|preorder|backorder|onlineonly|instoreonly/.test(text)) return 'in_stock';
+        return '';
+    }
+
+    /**
+     * 구조화 데이터의 브랜드/모델명을 사양에, SKU/GTIN을 플랫폼 데이터에 보충 (이미 있는 값은 유지)
+     * @param {Object} product - parseProduct()에서 만든 상품 정보
+     */
+    applyStructuredData(product) {
+        const data = this.getStructuredData();
+
+        if (product.specs && typeof product.specs === 'object' && !Array.isArray(product.specs)) {
+            [['브랜드', data.brand], ['모델명', data.mpn]].forEach(([key, value]) => {
+                if (value && !product.specs[key]) product.specs[key] = value;
+            });
+        }
+
+        if (product.platformMetadata && typeof product.platformMetadata === 'object') {
+            ['sku', 'gtin'].forEach(key => {
+                if (data[key] && !product.platformMetadata[key]) product.platformMetadata[key] = data[key];
+            });
+        }
+    }
+
+    /**
+     * 프로토콜 생략 URL(//img.example.com/a.jpg)을 https URL로 변환
+     * @param {string} src - 이미지 URL
+     * @returns {string}
+     */
+    absoluteUrl(src) {
+        return typeof src === 'string' && src.startsWith('//') ? `https:${src}` : src;
+    }
+
     /**
      * 가격 문자열을 숫자로 변환
      * @param {string} priceText - 가격 문자열
@@ -429,6 +842,50 @@ class BaseParser {
         }
         return [...new Set(links)];
     }
+
+    /**
+     * 다음 페이지 URL 추출 (몰털이 페이지네이션용)
+     * @returns {Promise<string|null>} 다음 페이지 URL (없으면 null)
+     */
+    async extractNextPageUrl() {
+        const isNavigable = (href) => href &&
+            !href.startsWith('javascript:') &&
+            href.split('#')[0] !== window.location.href.split('#')[0];
+
+        // 1. rel="next" 및 일반적인 "다음" 버튼
+        const nextSelectors = [
+            this.selectors.nextPage,
+            'link[rel="next"]',
+            'a[rel="next"]',
+            '[class*="pagination"] a[class*="next"]',
+            '[class*="paging"] a[class*="next"]',
+            'a[aria-label="다음"], a[aria-label="Next"], a[aria-label="next page" i]',
+            'a.next, a.btn_next, a.next-page'
+        ].filter(Boolean);
+
+        for (const selector of nextSelectors) {
+            const el = document.querySelector(selector);
+            if (el && isNavigable(el.href) && !el.classList.contains('disabled')) {
+                return el.href;
+            }
+        }
+
+        // 2. 현재 페이지 번호 + 1 링크
+        const containers = document.querySelectorAll('[class*="pagination"], [class*="paging"], [class*="pager"]');
+        for (const container of containers) {
+            const currentEl = container.querySelector('[aria-current="page"], .active, .on, .current, strong');
+            const currentPage = currentEl ? parseInt(currentEl.textContent.trim(), 10) : NaN;
+            if (isNaN(currentPage)) continue;
+
+            const next = Array.from(container.querySelectorAll('a[href]'))
+                .find(a => a.textContent.trim() === String(currentPage + 1));
+            if (next && isNavigable(next.href)) {
+                return next.href;
+            }
+        }
+
+        return null;
+    }
 }
 
 // Export
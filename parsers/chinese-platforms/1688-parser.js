@@ -20,7 +20,90 @@ class China1688Parser extends BaseParser {
         };
     }
 
+    /**
+     * 페이지에 포함된 상품 데이터를 먼저 읽고 파싱 (없으면 CSS 선택자 사용)
+     */
+    async parseProduct() {
+        this.pageState = this.readPageState();
+        if (this.pageState) {
+            console.log(`[${this.platform}] 페이지 상품 데이터: SKU ${this.pageState.variants.length}개`);
+        }
+        return super.parseProduct();
+    }
+
+    /**
+     * 페이지에 포함된 상품 데이터 읽기 (window.__INIT_DATA 또는 이전 페이지의 iDetailData)
+     * skuProps: 옵션 속성, skuInfoMap/skuMap: "红色&gt;XL" 형태의 조합 키별 가격/재고,
+     * skuRangePrices/priceRange: 수량 구간별 도매가
+     * @returns {Object|null} { title, images, price, priceTiers, options, variants, totalStock }
+     */
+    readPageState() {
+        const state = this.extractEmbeddedJson(/__INIT_DATA\s*=\s*/) ||
+            this.extractEmbeddedJson(/iDetailData\s*=\s*/);
+        if (!state) return null;
+
+        const skuProps = this.findEmbeddedValue(state, 'skuProps') || [];
+        const skuMap = this.findEmbeddedValue(state, 'skuInfoMap') || this.findEmbeddedValue(state, 'skuMap') || {};
+        const ranges = this.findEmbeddedValue(state, 'skuRangePrices') || this.findEmbeddedValue(state, 'priceRange') || [];
+        const title = this.findEmbeddedValue(state, 'offerTitle') || this.findEmbeddedValue(state, 'subject');
+        const imageList = this.findEmbeddedValue(state, 'offerImgList') || this.findEmbeddedValue(state, 'images') || [];
+
+        // 수량 구간별 가격: [[1, 23.5], ...] 또는 [{ beginAmount: 1, price: '23.50' }, ...]
+        const priceTiers = (Array.isArray(ranges) ? ranges : [])
+            .map(range => (Array.isArray(range)
+                ? { minQuantity: Number(range[0]), price: Number(range[1]) }
+                : { minQuantity: Number(range.beginAmount ?? range.startQuantity), price: Number(range.price) }))
+            .filter(tier => tier.price > 0)
+            .sort((a, b) => a.minQuantity - b.minQuantity);
+        const basePrice = priceTiers[0]?.price || 0;
+
+        const properties = (Array.isArray(skuProps) ? skuProps : []).map(prop => ({
+            name: String(prop.prop || '规格').trim(),
+            values: (prop.value || []).map(value => ({
+                id: String(value.name).trim(),
+                text: String(value.name).trim(),
+                image: value.imageUrl ? this.absoluteUrl(value.imageUrl) : null
+            }))
+        }));
+
+        const variants = [];
+        Object.entries(skuMap).forEach(([key, sku]) => {
+            const names = key.replace(/&gt;/g, '>').split('>').map(name => name.trim());
+            const values = properties.map((prop, i) => prop.values.find(value => value.text === names[i]));
+            if (values.length === 0 || values.some(value => !value)) return;
+
+            const quantity = parseInt(sku.canBookCount, 10);
+            variants.push({
+                skuId: String(sku.skuId || sku.specId || key),
+                attributes: Object.fromEntries(properties.map((prop, i) => [prop.name, values[i].text])),
+                price: Number(sku.discountPrice || sku.price) || basePrice,
+                stock: Number.isNaN(quantity) ? null : quantity,
+                image: values.map(value => value.image).find(Boolean) || null
+            });
+        });
+
+        const prices = variants.map(variant => variant.price).filter(price => price > 0);
+        const images = (Array.isArray(imageList) ? imageList : [])
+            .map(image => (typeof image === 'string' ? image : image.fullPathImageURI || image.originalImageURI))
+            .filter(Boolean)
+            .map(src => this.absoluteUrl(src));
+
+        if (!title && variants.length === 0 && priceTiers.length === 0) return null;
+
+        return {
+            title: String(title || '').trim(),
+            images,
+            price: basePrice || (prices.length > 0 ? Math.min(...prices) : 0),
+            priceTiers,
+            options: this.optionsFromVariants(properties, variants),
+            variants,
+            totalStock: this.totalVariantStock(variants)
+        };
+    }
+
     async extractName() {
+        if (this.pageState?.title) return this.pageState.title;
+
         await this.wait(1000);
 
         const selectors = [
@@ -37,10 +120,12 @@ class China1688Parser extends BaseParser {
             }
         }
 
-        return '商品名称未找到';
+        return this.getStructuredData().name || '商品名称未找到';
     }
 
     async extractPrice() {
+        if (this.pageState?.price > 0) return this.pageState.price;
+
         const selectors = [
             '.price-original',
             '.price-now',
@@ -57,6 +142,10 @@ class China1688Parser extends BaseParser {
             }
         }
 
+        // 구조화 데이터 (JSON-LD, Open Graph)
+        const structuredPrice = this.getStructuredData().price;
+        if (structuredPrice > 0) return structuredPrice;
+
         // 가격 범위 처리 (예: ¥10.00 - ¥50.00)
         const priceRangeEl = document.querySelector('.price-range, .unit-price-range');
         if (priceRangeEl) {
@@ -70,7 +159,17 @@ class China1688Parser extends BaseParser {
         return 0;
     }
 
+    /**
+     * 이미지: 페이지 상품 데이터의 메인 이미지 우선
+     */
+    async extractImages() {
+        if (this.pageState?.images.length > 0) return this.pageState.images;
+        return super.extractImages();
+    }
+
     async extractOptions() {
+        if (this.pageState?.variants.length > 0) return this.pageState.options;
+
         const options = [];
 
         // SKU 속성
@@ -87,14 +186,15 @@ class China1688Parser extends BaseParser {
                 const value = el.getAttribute('title') || el.textContent.trim();
                 const disabled = el.classList.contains('disabled');
 
-                // 가격 추가 정보 (있을 경우)
+                // 옵션값별 단가 (있을 경우, 절대 가격)
                 const priceEl = el.querySelector('.sku-price');
-                const addPrice = priceEl ? this.parsePrice(priceEl.textContent) : 0;
+                const skuPrice = priceEl ? this.parsePrice(priceEl.textContent) : 0;
 
                 if (value) {
                     values.push({
                         value,
-                        price: addPrice,
+                        price: skuPrice,
+                        ...(skuPrice > 0 && { priceType: 'absolute' }),
                         stock: disabled ? 'out_of_stock' : 'in_stock',
                         imageUrl: el.querySelector('img')?.src || null
                     });
@@ -171,7 +271,19 @@ class China1688Parser extends BaseParser {
         return specs;
     }
 
+    /**
+     * 옵션 조합: 페이지 상품 데이터가 있으면 SKU별 가격/재고 사용
+     */
+    async extractVariants(product) {
+        if (this.pageState?.variants.length > 0) return this.pageState.variants;
+        return super.extractVariants(product);
+    }
+
     async extractStock() {
+        if (typeof this.pageState?.totalStock === 'number') {
+            return this.pageState.totalStock > 0 ? this.pageState.totalStock : 'out_of_stock';
+        }
+
         const stockEl = document.querySelector('.amount-box, .stock-info');
         if (stockEl) {
             const text = stockEl.textContent;
@@ -188,7 +300,8 @@ class China1688Parser extends BaseParser {
             }
         }
 
-        return 'in_stock';
+        // 구조화 데이터의 판매 상태
+        return this.getStructuredData().availability || 'in_stock';
     }
 
     async extractPlatformSpecificData() {
@@ -231,10 +344,17 @@ class China1688Parser extends BaseParser {
             }
         }
 
-        // 가격 범위
-        const priceRangeEl = document.querySelector('.price-range, .price-ladder');
-        if (priceRangeEl) {
-            metadata.priceRange = priceRangeEl.textContent.trim();
+        // 가격 범위 (페이지 상품 데이터의 수량 구간별 가격 우선)
+        const priceTiers = this.pageState?.priceTiers || [];
+        if (priceTiers.length > 0) {
+            metadata.priceTiers = priceTiers;
+            metadata.priceRange = priceTiers.map(tier => `${tier.minQuantity}+: ¥${tier.price}`).join(', ');
+            metadata.moq = priceTiers[0].minQuantity || metadata.moq;
+        } else {
+            const priceRangeEl = document.querySelector('.price-range, .price-ladder');
+            if (priceRangeEl) {
+                metadata.priceRange = priceRangeEl.textContent.trim();
+            }
         }
 
         return metadata;
@@ -49,7 +49,7 @@ class AliexpressParser extends BaseParser {
             }
         }
 
-        return 'Product name not found';
+        return this.getStructuredData().name || 'Product name not found';
     }
 
     async extractPrice() {
@@ -65,6 +65,13 @@ class AliexpressParser extends BaseParser {
     }
 
     async extractOptions() {
+        // 0. 페이지에 포함된 SKU 데이터 (클릭 없이 전체 조합의 가격/재고)
+        this.skuState = this.readSkuState();
+        if (this.skuState) {
+            this.log(`✅ 페이지 SKU 데이터: 속성 ${this.skuState.options.length}개, SKU ${this.skuState.variants.length}개`);
+            return this.skuState.options;
+        }
+
         const opts = [];
 
         // 1. Select 옵션
@@ -75,13 +82,84 @@ class AliexpressParser extends BaseParser {
         const radioOpts = this.extractRadioOptions();
         if (radioOpts.length > 0) opts.push(...radioOpts);
 
-        // 3. SKU 옵션 (AliExpress 등) - 동적 가격 수집 포함
+        // 3. SKU 옵션 (AliExpress 등) - 페이지 SKU 데이터가 없을 때만 하나씩 클릭해 가격 수집
         const skuOpts = await this.extractSkuOptionsAsync();
         if (skuOpts.length > 0) opts.push(...skuOpts);
 
         return opts;
     }
 
+    /**
+     * 옵션 조합: 페이지 SKU 데이터가 있으면 SKU별 가격/재고 사용
+     */
+    async extractVariants(product) {
+        if (this.skuState) return this.skuState.variants;
+        return super.extractVariants(product);
+    }
+
+    /**
+     * 페이지에 포함된 SKU 데이터 읽기
+     * 이전 페이지는 window.runParams.data.skuModule, 새 페이지는 _init_data_ 안의 SKU/PRICE 모듈에 있음
+     * @returns {Object|null} { options, variants, totalStock, currency } (데이터가 없으면 null)
+     */
+    readSkuState() {
+        const state = this.extractEmbeddedJson(/window\.runParams\s*=\s*\{\s*data\s*:/) ||
+            this.extractEmbeddedJson(/_init_data_\s*=\s*\{\s*data\s*:/);
+        if (!state) return null;
+
+        const propertyList = this.findEmbeddedValue(state, 'productSKUPropertyList') ||
+            this.findEmbeddedValue(state, 'skuProperties') || [];
+        const skuList = this.findEmbeddedValue(state, 'skuPriceList') || this.findEmbeddedValue(state, 'skuPaths');
+        const priceMap = this.findEmbeddedValue(state, 'skuIdStrPriceInfoMap') || {};
+        if (!Array.isArray(propertyList) || !Array.isArray(skuList) || skuList.length === 0) return null;
+
+        const properties = propertyList.map(prop => ({
+            name: String(prop.skuPropertyName || prop.skuPropertyId || '옵션').trim(),
+            values: (prop.skuPropertyValues || []).map(value => ({
+                id: String(value.propertyValueIdLong ?? value.propertyValueId),
+                text: String(value.propertyValueDisplayName || value.propertyValueName || value.propertyValueId).trim(),
+                image: value.skuPropertyImagePath || value.skuPropertyImageSummPath || null
+            }))
+        }));
+
+        let currency = null;
+        const variants = [];
+
+        skuList.forEach(sku => {
+            const skuId = String(sku.skuIdStr || sku.skuId);
+
+            // "14:193#Red;5:100014064" (skuAttr/path) 또는 "193,100014064" (skuPropIds)
+            const valueIds = String(sku.skuAttr || sku.path || sku.skuPropIds || '')
+                .split(/[;,]/)
+                .map(part => part.split('#')[0].split(':').pop());
+            const values = properties.map(prop => prop.values.find(value => valueIds.includes(value.id)));
+            if (values.some(value => !value)) return;
+
+            const amount = sku.skuVal?.skuActivityAmount || sku.skuVal?.skuAmount ||
+                priceMap[skuId]?.salePrice || priceMap[skuId]?.originalPrice;
+            currency = currency || amount?.currency || null;
+
+            const quantity = Number(sku.skuVal?.availQuantity ?? sku.skuStock ?? sku.availQuantity);
+
+            variants.push({
+                skuId,
+                attributes: Object.fromEntries(properties.map((prop, i) => [prop.name, values[i].text])),
+                price: Number(amount?.value ?? sku.skuVal?.actSkuCalPrice ?? sku.skuVal?.skuCalPrice) || 0,
+                stock: sku.salable === false ? 0 : (Number.isFinite(quantity) ? quantity : null),
+                image: values.map(value => value.image).find(Boolean) || null
+            });
+        });
+
+        if (variants.length === 0) return null;
+
+        return {
+            options: this.optionsFromVariants(properties, variants),
+            variants,
+            totalStock: this.totalVariantStock(variants),
+            currency
+        };
+    }
+
     extractSelectOptions() {
         const opts = [];
         const sels = document.querySelectorAll('select');
@@ -606,6 +684,11 @@ class AliexpressParser extends BaseParser {
     }
 
     async extractStock() {
+        // 페이지 SKU 데이터의 전체 재고
+        if (typeof this.skuState?.totalStock === 'number') {
+            return this.skuState.totalStock > 0 ? this.skuState.totalStock : 'out_of_stock';
+        }
+
         // 재고 수량 표시
         const stockEl = document.querySelector('.product-quantity-tip, .quantity-info, [class*="quantity--info"]');
         if (stockEl) {
@@ -640,7 +723,8 @@ class AliexpressParser extends BaseParser {
             return 'out_of_stock';
         }
 
-        return 'in_stock';
+        // 구조화 데이터의 판매 상태
+        return this.getStructuredData().availability || 'in_stock';
     }
 
     /**
@@ -716,7 +800,12 @@ class AliexpressParser extends BaseParser {
             addImg(m.content);
         });
 
-        // 4. Fallback: 큰 이미지만 추출
+        // 4. Fallback: 구조화 데이터 (JSON-LD, Open Graph)
+        if (images.length === 0) {
+            this.getStructuredData().images.forEach(url => addImg(url));
+        }
+
+        // 5. Fallback: 큰 이미지만 추출
         if (images.length === 0) {
             this.log('  ℹ️ Fallback: 큰 이미지 찾기...');
             document.querySelectorAll('img').forEach(img => {
@@ -741,7 +830,7 @@ class AliexpressParser extends BaseParser {
             seller: '',
             storeName: '',
             storeRating: 0,
-            currency: 'USD'
+            currency: this.skuState?.currency || 'USD'
         };
 
         // 리뷰 수
@@ -20,7 +20,86 @@ class TaobaoParser extends BaseParser {
         };
     }
 
+    /**
+     * 페이지에 포함된 상품 데이터를 먼저 읽고 파싱 (없으면 CSS 선택자 사용)
+     */
+    async parseProduct() {
+        this.pageState = this.readPageState();
+        if (this.pageState) {
+            console.log(`[${this.platform}] 페이지 상품 데이터: SKU ${this.pageState.variants.length}개`);
+        }
+        return super.parseProduct();
+    }
+
+    /**
+     * 페이지에 포함된 상품 데이터 읽기
+     * 새 상세 페이지는 __ICE_APP_CONTEXT__ 안에, 그 외에는 인라인 스크립트에 item/skuBase/skuCore가 있음
+     * skuBase: 옵션 속성(props)과 SKU별 속성 경로(skus), skuCore.sku2info: SKU별 가격/재고 ("0"은 상품 전체)
+     * @returns {Object|null} { title, images, price, options, variants, totalStock }
+     */
+    readPageState() {
+        const context = this.extractEmbeddedJson(/__ICE_APP_CONTEXT__\s*=\s*/);
+        // 인라인 스크립트는 skuBase/skuCore가 함께 있는 스크립트에서만 찾음 (다른 위젯의 "item" 객체 오인 방지)
+        const find = key => (context && this.findEmbeddedValue(context, key)) ||
+            this.extractEmbeddedJson(new RegExp(`^(?=[\\s\\S]*"sku(?:Base|Core)"\\s*:)[\\s\\S]*?"${key}"\\s*:\\s*(?=\\{)`));
+
+        const item = find('item');
+        const skuBase = find('skuBase');
+        const sku2info = find('skuCore')?.sku2info || {};
+        if (!skuBase && !item?.title) return null;
+
+        // priceText는 "49.90" 또는 가격 범위 "49.90-59.90" (최저가 사용)
+        const priceOf = info => {
+            const match = String(info?.subPrice?.priceText || info?.price?.priceText || '').match(/\d+(?:\.\d+)?/);
+            return match ? parseFloat(match[0]) : 0;
+        };
+        const quantityOf = info => {
+            const quantity = parseInt(info?.quantity, 10);
+            return Number.isNaN(quantity) ? null : quantity;
+        };
+
+        const properties = (skuBase?.props || []).map(prop => ({
+            pid: String(prop.pid),
+            name: String(prop.name || '规格').trim(),
+            values: (prop.values || []).map(value => ({
+                id: String(value.vid),
+                text: String(value.name || value.vid).trim(),
+                image: value.image ? this.absoluteUrl(value.image) : null
+            }))
+        }));
+
+        const variants = [];
+        (skuBase?.skus || []).forEach(sku => {
+            // propPath: "20509:28314;1627207:28341"
+            const path = Object.fromEntries(String(sku.propPath || '').split(';').map(pair => pair.split(':')));
+            const values = properties.map(prop => prop.values.find(value => value.id === path[prop.pid]));
+            if (values.some(value => !value)) return;
+
+            const info = sku2info[sku.skuId];
+            variants.push({
+                skuId: String(sku.skuId),
+                attributes: Object.fromEntries(properties.map((prop, i) => [prop.name, values[i].text])),
+                price: priceOf(info),
+                stock: quantityOf(info),
+                image: values.map(value => value.image).find(Boolean) || null
+            });
+        });
+
+        const prices = variants.map(variant => variant.price).filter(price => price > 0);
+
+        return {
+            title: String(item?.title || '').trim(),
+            images: (item?.images || []).map(src => this.absoluteUrl(src)),
+            price: priceOf(sku2info['0']) || (prices.length > 0 ? Math.min(...prices) : 0),
+            options: this.optionsFromVariants(properties, variants),
+            variants,
+            totalStock: quantityOf(sku2info['0']) ?? this.totalVariantStock(variants)
+        };
+    }
+
     async extractName() {
+        if (this.pageState?.title) return this.pageState.title;
+
         await this.wait(1000);
 
         const selectors = [
@@ -37,10 +116,12 @@ class TaobaoParser extends BaseParser {
             }
         }
 
-        return '商品名称未找到';
+        return this.getStructuredData().name || '商品名称未找到';
     }
 
     async extractPrice() {
+        if (this.pageState?.price > 0) return this.pageState.price;
+
         const selectors = [
             '.tb-rmb-num',
             '.price-now',
@@ -57,6 +138,10 @@ class TaobaoParser extends BaseParser {
             }
         }
 
+        // 구조화 데이터 (JSON-LD, Open Graph)
+        const structuredPrice = this.getStructuredData().price;
+        if (structuredPrice > 0) return structuredPrice;
+
         // 가격 범위 처리
         const priceRangeEl = document.querySelector('.tb-range-price, .price-range');
         if (priceRangeEl) {
@@ -70,7 +155,17 @@ class TaobaoParser extends BaseParser {
         return 0;
     }
 
+    /**
+     * 이미지: 페이지 상품 데이터의 메인 이미지 우선
+     */
+    async extractImages() {
+        if (this.pageState?.images.length > 0) return this.pageState.images;
+        return super.extractImages();
+    }
+
     async extractOptions() {
+        if (this.pageState?.variants.length > 0) return this.pageState.options;
+
         const options = [];
 
         // SKU 속성 (颜色分类, 尺码 등)
@@ -164,7 +259,19 @@ class TaobaoParser extends BaseParser {
         return specs;
     }
 
+    /**
+     * 옵션 조합: 페이지 상품 데이터가 있으면 SKU별 가격/재고 사용
+     */
+    async extractVariants(product) {
+        if (this.pageState?.variants.length > 0) return this.pageState.variants;
+        return super.extractVariants(product);
+    }
+
     async extractStock() {
+        if (typeof this.pageState?.totalStock === 'number') {
+            return this.pageState.totalStock > 0 ? this.pageState.totalStock : 'out_of_stock';
+        }
+
         const stockEl = document.querySelector('.tb-amount, .tb-stock');
         if (stockEl) {
             const text = stockEl.textContent;
@@ -186,7 +293,8 @@ class TaobaoParser extends BaseParser {
             return 'out_of_stock';
         }
 
-        return 'in_stock';
+        // 구조화 데이터의 판매 상태
+        return this.getStructuredData().availability || 'in_stock';
     }
 
     async extractPlatformSpecificData() {
@@ -0,0 +1,126 @@
+/**
+ * 일반 쇼핑몰 파서
+ * 전용 파서가 없는 페이지에서 사용. 구조화 데이터(JSON-LD, Open Graph)를 기본으로
+ * 카페24, 고도몰 등 쇼핑몰 솔루션의 공통 마크업에서 나머지 정보를 추출
+ */
+
+class GenericParser extends BaseParser {
+    constructor() {
+        super('generic');
+    }
+
+    getSelectors() {
+        return {
+            name: [
+                '.headingArea h2',              // 카페24
+                '.infoArea .name',
+                '.item_detail_tit h3',          // 고도몰
+                '.goods_tit',
+                '[itemprop="name"]',
+                'h1'
+            ].join(', '),
+            price: [
+                '#span_product_price_sale',     // 카페24 할인가
+                '#span_product_price_text',
+                '.item_price dd strong',        // 고도몰
+                '.item_price strong',
+                '[itemprop="price"]'
+            ],
+            images: [
+                '.keyImg img',                  // 카페24
+                '.xans-product-addimage img',
+                '#mainImage img',               // 고도몰
+                '.item_photo_big img',
+                '.slider_goods_nav img'
+            ].join(', '),
+            stock: '.soldout, .icon_soldout, .item_soldout, .btn_soldout',
+            description: '#prdDetail, .xans-product-detail .cont, #detail .txt-manual, .detail_explain_box, .goods_description',
+            category: '.xans-product-headcategory, .location_wrap, .sub_top_location'
+        };
+    }
+
+    async extractName() {
+        // 선택자 후보 중 "h1"은 로고 등일 수 있으므로 구조화 데이터의 상품명을 먼저 사용
+        const name = this.getStructuredData().name;
+        if (name) return name;
+
+        return super.extractName();
+    }
+
+    async extractOptions() {
+        const options = [];
+
+        // 카페24: select#product_option_id1.., 고도몰: select[name^="optionNo_"], 조합형 select[name="optionSnoInput"]
+        const selects = document.querySelectorAll(
+            'select[id^="product_option_id"], select[name^="optionNo_"], select[name="optionSnoInput"]'
+        );
+
+        selects.forEach((select, index) => {
+            const labelEl = select.closest('tr')?.querySelector('th') || select.closest('dl')?.querySelector('dt');
+            const name = labelEl ? labelEl.textContent.trim() : `옵션${index + 1}`;
+            const values = [];
+
+            select.querySelectorAll('option').forEach(opt => {
+                const text = opt.textContent.trim();
+
+                // 안내 문구("- [필수] 옵션을 선택해 주세요 -", "-------")와 구분선(*, **) 제외
+                if (!opt.value || opt.value === '*' || opt.value === '**' || /^-|선택/.test(text)) return;
+
+                const soldOut = opt.disabled || text.includes('품절');
+                const { value, price, priceType } = this.parseOptionText(text.replace(/\[?품절\]?/g, '').trim());
+
+                values.push({
+                    value,
+                    price,
+                    ...(priceType && { priceType }),
+                    stock: soldOut ? 'out_of_stock' : 'in_stock'
+                });
+            });
+
+            if (values.length > 0) {
+                options.push({ name, values });
+            }
+        });
+
+        return options;
+    }
+
+    async extractSpecs() {
+        const specs = {};
+
+        // 상품 정보 표 (상품명/판매가 등 기본 항목 다음에 제조사, 원산지 등이 나열됨)
+        const skipKeys = /상품명|판매가|소비자가|할인|적립|배송|수량|쿠폰|옵션/;
+
+        document.querySelectorAll('.infoArea table tr, .item_detail_list dl, .goods_spec tr').forEach(row => {
+            const key = row.querySelector('th, dt')?.textContent.trim();
+            const value = row.querySelector('td, dd');
+            if (!key || !value || skipKeys.test(key) || value.querySelector('select, input')) return;
+
+            const text = value.textContent.trim().replace(/\s+/g, ' ');
+            if (text) specs[key] = text;
+        });
+
+        return specs;
+    }
+
+    async extractPlatformSpecificData() {
+        // 쇼핑몰 솔루션 구분
+        let solution = '';
+        if (document.querySelector('[class*="xans-"], script[src*="cafe24"]')) {
+            solution = 'cafe24';
+        } else if (document.querySelector('input[name="goodsNo"], script[src*="godo"]')) {
+            solution = 'godomall';
+        }
+
+        return {
+            solution,
+            shop: window.location.hostname,
+            currency: this.getStructuredData().currency
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenericParser;
+}
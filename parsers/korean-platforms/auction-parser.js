@@ -42,7 +42,7 @@ class AuctionParser extends BaseParser {
             }
         }
 
-        return '상품명을 찾을 수 없습니다';
+        return this.getStructuredData().name || '상품명을 찾을 수 없습니다';
     }
 
 
@@ -42,7 +42,7 @@ class CoupangParser extends BaseParser {
             }
         }
 
-        return '상품명을 찾을 수 없습니다';
+        return this.getStructuredData().name || '상품명을 찾을 수 없습니다';
     }
 
 
@@ -58,11 +58,13 @@ class CoupangParser extends BaseParser {
             const values = [];
 
             select.querySelectorAll('option').forEach(opt => {
-                const value = opt.textContent.trim();
-                if (value && !value.includes('선택') && opt.value) {
+                const text = opt.textContent.trim();
+                if (text && !text.includes('선택') && opt.value) {
+                    const { value, price, priceType } = this.parseOptionText(text);
                     values.push({
                         value,
-                        price: 0,
+                        price,
+                        ...(priceType && { priceType }),
                         stock: opt.disabled ? 'out_of_stock' : 'in_stock'
                     });
                 }
@@ -80,14 +82,17 @@ class CoupangParser extends BaseParser {
             const values = [];
 
             group.querySelectorAll('button').forEach(btn => {
-                const value = btn.textContent.trim();
+                const text = btn.textContent.trim();
                 const disabled = btn.disabled || btn.classList.contains('disabled');
 
-                if (value) {
+                if (text) {
+                    const { value, price, priceType } = this.parseOptionText(text);
                     values.push({
                         value,
-                        price: 0,
-                        stock: disabled ? 'out_of_stock' : 'in_stock'
+                        price,
+                        ...(priceType && { priceType }),
+                        stock: disabled ? 'out_of_stock' : 'in_stock',
+                        imageUrl: btn.querySelector('img')?.src || null
                     });
                 }
             });
@@ -169,7 +174,8 @@ class CoupangParser extends BaseParser {
             return 'out_of_stock';
         }
 
-        return 'in_stock';
+        // 구조화 데이터의 판매 상태
+        return this.getStructuredData().availability || 'in_stock';
     }
 
     async extractPlatformSpecificData() {
@@ -41,7 +41,7 @@ class GmarketParser extends BaseParser {
             }
         }
 
-        return '상품명을 찾을 수 없습니다';
+        return this.getStructuredData().name || '상품명을 찾을 수 없습니다';
     }
 
 
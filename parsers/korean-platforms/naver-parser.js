@@ -27,7 +27,138 @@ class NaverParser extends BaseParser {
         };
     }
 
+    /**
+     * 페이지에 포함된 상품 데이터를 먼저 읽고 파싱 (없으면 CSS 선택자 사용)
+     */
+    async parseProduct() {
+        this.pageState = this.readPageState();
+        if (this.pageState) {
+            console.log(`[${this.platform}] 페이지 상품 데이터: 옵션 조합 ${this.pageState.variants.length}개`);
+        }
+        return super.parseProduct();
+    }
+
+    /**
+     * window.__PRELOADED_STATE__의 상품 데이터 읽기
+     * optionCombinations: 조합형 옵션 (optionName1~3, 추가금 price, stockQuantity),
+     * simpleOptions: 단독형 옵션, supplementProducts: 추가상품
+     * @returns {Object|null}
+     */
+    readPageState() {
+        const state = this.extractEmbeddedJson(/__PRELOADED_STATE__\s*=\s*/);
+        if (!state) return null;
+
+        const product = state.product?.A || state.simpleProductForDetailPage?.A ||
+            this.findEmbeddedValue(state, 'A');
+        if (!product || !product.name || !(product.salePrice >= 0)) return null;
+
+        const price = product.benefitsView?.discountedSalePrice || product.discountedSalePrice || product.salePrice;
+        const soldOut = product.productStatusType === 'OUTOFSTOCK' || product.stockQuantity === 0;
+
+        // 조합형 옵션 그룹 이름: options[].groupName 또는 optionCombinationGroupNames.optionGroupName1~3
+        const groupNames = (product.options || [])
+            .filter(option => option.optionType === 'COMBINATION')
+            .map(option => option.groupName);
+        const combinationNames = product.optionCombinationGroupNames || {};
+        [1, 2, 3].forEach(i => {
+            if (!groupNames[i - 1] && combinationNames[`optionGroupName${i}`]) {
+                groupNames[i - 1] = combinationNames[`optionGroupName${i}`];
+            }
+        });
+
+        const combinations = (product.optionCombinations || []).filter(combo => combo.usable !== false);
+        const depth = [1, 2, 3].filter(i => combinations.some(combo => combo[`optionName${i}`])).length;
+
+        const properties = Array.from({ length: depth }, (_, i) => {
+            const names = [...new Set(combinations.map(combo => combo[`optionName${i + 1}`]).filter(Boolean))];
+            return {
+                name: groupNames[i] || `옵션${i + 1}`,
+                values: names.map(name => ({ id: name, text: name, image: null }))
+            };
+        });
+
+        const variants = combinations.map(combo => ({
+            skuId: String(combo.id),
+            attributes: Object.fromEntries(properties.map((prop, i) => [prop.name, combo[`optionName${i + 1}`]])),
+            price: price + (Number(combo.price) || 0),
+            stock: typeof combo.stockQuantity === 'number' ? combo.stockQuantity : null,
+            image: null
+        }));
+
+        // 단독형 옵션 (그룹별로 하나씩 선택, 추가금)
+        const simpleGroups = {};
+        (product.simpleOptions || []).forEach(option => {
+            const name = option.groupName || '옵션';
+            (simpleGroups[name] = simpleGroups[name] || []).push({
+                value: option.optionName,
+                price: Number(option.price) || 0,
+                stock: soldOut ? 'out_of_stock' : 'in_stock'
+            });
+        });
+
+        const options = variants.length > 0
+            ? this.optionsFromVariants(properties, variants)
+            : Object.entries(simpleGroups).map(([name, values]) => ({ name, values }));
+
+        const images = (product.productImages || [])
+            .slice()
+            .sort((a, b) => (a.imageType === 'REPRESENTATIVE' ? -1 : 0) - (b.imageType === 'REPRESENTATIVE' ? -1 : 0))
+            .map(image => image.url)
+            .filter(Boolean);
+        if (images.length === 0 && product.representImage?.url) images.push(product.representImage.url);
+
+        // 배송비: FREE(무료), PAID(유료), CONDITIONAL_FREE(조건부 무료)
+        const delivery = product.productDeliveryInfo || {};
+        const deliveryFee = delivery.deliveryFee || delivery;
+        const feeType = deliveryFee.deliveryFeeType || delivery.deliveryFeeType;
+        const shipping = {
+            fee: feeType === 'FREE' ? 0 : Number(deliveryFee.baseFee) || 0,
+            freeThreshold: feeType === 'CONDITIONAL_FREE' ? Number(deliveryFee.freeConditionalAmount) || 0 : 0,
+            type: feeType === 'FREE' ? 'free' : 'standard'
+        };
+
+        const searchInfo = product.naverShoppingSearchInfo || {};
+        const specs = Object.fromEntries([
+            ['브랜드', searchInfo.brandName],
+            ['제조사', searchInfo.manufacturerName],
+            ['모델명', searchInfo.modelName],
+            ['원산지', product.originAreaInfo?.content]
+        ].filter(([, value]) => value));
+
+        const supplements = (product.supplementProducts || []).map(item => ({
+            group: item.groupName || '추가상품',
+            name: item.name,
+            price: Number(item.price) || 0,
+            stock: typeof item.stockQuantity === 'number' ? item.stockQuantity : null
+        }));
+
+        const stock = soldOut
+            ? 'out_of_stock'
+            : (this.totalVariantStock(variants) ?? (typeof product.stockQuantity === 'number' ? product.stockQuantity : 'in_stock'));
+
+        return {
+            name: String(product.name).trim(),
+            price,
+            images,
+            options,
+            variants,
+            stock: stock === 0 ? 'out_of_stock' : stock,
+            shipping,
+            specs,
+            category: product.category?.wholeCategoryName || '',
+            metadata: {
+                productNo: product.productNo ? String(product.productNo) : '',
+                categoryId: product.category?.categoryId ? String(product.category.categoryId) : '',
+                seller: product.channel?.channelName || '',
+                reviewCount: product.reviewAmount?.totalReviewCount || 0,
+                supplements
+            }
+        };
+    }
+
     async extractName() {
+        if (this.pageState) return this.pageState.name;
+
         // 여러 선택자 시도
         const selectors = [
             '._22kNQuEXmb h3',
@@ -44,12 +175,24 @@ class NaverParser extends BaseParser {
             }
         }
 
-        return '상품명을 찾을 수 없습니다';
+        return this.getStructuredData().name || '상품명을 찾을 수 없습니다';
     }
 
 
 
+    async extractPrice() {
+        if (this.pageState?.price > 0) return this.pageState.price;
+        return super.extractPrice();
+    }
+
+    async extractImages() {
+        if (this.pageState?.images.length > 0) return this.pageState.images;
+        return super.extractImages();
+    }
+
     async extractOptions() {
+        if (this.pageState?.options.length > 0) return this.pageState.options;
+
         const options = [];
         const optionGroups = document.querySelectorAll('.se-option-group, ._2Xz3GO5dJ1, .option_box');
 
@@ -58,15 +201,19 @@ class NaverParser extends BaseParser {
             const name = nameEl ? nameEl.textContent.trim() : '옵션';
 
             const values = [];
-            const valueEls = group.querySelectorAl('option, .option-item, .option_value');
+            const valueEls = group.querySelectorAll('option, .option-item, .option_value');
 
             valueEls.forEach(el => {
-                const value = el.textContent.trim();
-                if (value && value !== '선택') {
+                const text = el.textContent.trim();
+                if (text && text !== '선택') {
+                    const soldOut = el.disabled || text.includes('품절');
+                    const { value, price, priceType } = this.parseOptionText(text.replace(/\s*\(?품절\)?\s*$/, ''));
+
                     values.push({
                         value,
-                        price: 0,
-                        stock: 'in_stock'
+                        price,
+                        ...(priceType && { priceType }),
+                        stock: soldOut ? 'out_of_stock' : 'in_stock'
                     });
                 }
             });
@@ -79,7 +226,27 @@ class NaverParser extends BaseParser {
         return options;
     }
 
+    /**
+     * 옵션 조합: 페이지 상품 데이터의 조합형 옵션이 있으면 조합별 가격/재고 사용
+     */
+    async extractVariants(product) {
+        if (this.pageState?.variants.length > 0) return this.pageState.variants;
+        return super.extractVariants(product);
+    }
+
+    async extractStock() {
+        if (this.pageState) return this.pageState.stock;
+        return super.extractStock();
+    }
+
+    async extractCategory() {
+        if (this.pageState?.category) return this.pageState.category;
+        return super.extractCategory();
+    }
+
     async extractShipping() {
+        if (this.pageState) return this.pageState.shipping;
+
         const shipping = {
             fee: 0,
             freeThreshold: 0,
@@ -131,10 +298,19 @@ class NaverParser extends BaseParser {
             });
         });
 
+        // 페이지 상품 데이터의 브랜드/제조사/원산지 (표에 없는 항목만)
+        Object.entries(this.pageState?.specs || {}).forEach(([key, value]) => {
+            if (!specs[key]) specs[key] = value;
+        });
+
         return specs;
     }
 
     async extractPlatformSpecificData() {
+        if (this.pageState) {
+            return { likeCount: 0, deliveryType: 'standard', ...this.pageState.metadata };
+        }
+
         const metadata = {
             reviewCount: 0,
             likeCount: 0,
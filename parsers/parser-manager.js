@@ -27,6 +27,9 @@ class ParserManager {
         this.registerParser('1688', () => new China1688Parser());
         this.registerParser('taobao', () => new TaobaoParser());
 
+        // 전용 파서가 없는 쇼핑몰 (구조화 데이터, 카페24/고도몰)
+        this.registerParser('generic', () => new GenericParser());
+
         this.initialized = true;
         console.log('[ParserManager] Initialized with', this.parsers.size, 'parsers');
         console.log('[ParserManager] Supported platforms:', Array.from(this.parsers.keys()).join(', '));
@@ -75,6 +78,13 @@ class ParserManager {
         // 파싱 실행
         try {
             const product = await parser.parseProduct();
+
+            // 사용자 설정의 최대 이미지 수 적용
+            const settings = await SettingsManager.get();
+            if (Array.isArray(product.images) && product.images.length > settings.images.maxImages) {
+                product.images = product.images.slice(0, settings.images.maxImages);
+            }
+
             return product;
         } catch (error) {
             console.error('[ParserManager] Parsing failed:', error);
@@ -108,6 +118,17 @@ class ParserManager {
         const parser = this.getParser(platform);
         return await parser.extractProductLinks();
     }
+
+    /**
+     * 현재 페이지의 다음 페이지 URL
+     * @returns {Promise<string|null>} 다음 페이지 URL
+     */
+    async getNextPageUrl() {
+        await this.initialize();
+        const platform = PlatformDetector.detect();
+        const parser = this.getParser(platform);
+        return await parser.extractNextPageUrl();
+    }
 }
 
 // 싱글톤 인스턴스
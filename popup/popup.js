@@ -2,6 +2,9 @@
  * Popup 스크립트 (Auth & Stats)
  */
 
+// 현재 탭의 중복 상품 (알림 기준 설정용)
+let currentDuplicate = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
     await loadSavedId();
     await checkLoginStatus();
@@ -25,6 +28,14 @@ function setupEventListeners() {
 
     // 대시보드
     document.getElementById('dashboard-btn').addEventListener('click', openDashboard);
+    document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('export-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('export/export.html') });
+    });
+
+    // 변동 알림 기록
+    document.getElementById('alerts-btn').addEventListener('click', toggleAlertHistory);
+    document.getElementById('alert-history-clear').addEventListener('click', clearAlertHistory);
 
     // 엔터키 로그인 지원
     document.getElementById('password').addEventListener('keypress', (e) => {
@@ -46,22 +57,33 @@ function setupEventListeners() {
 
     // 수집 모드 버튼 이벤트
     document.getElementById('mode-product').addEventListener('click', () => triggerMode('trigger_product'));
-    document.getElementById('mode-keyword').addEventListener('click', async () => {
-        const keyword = prompt('수집할 키워드를 입력하세요:');
-        if (keyword) {
-            triggerMode('trigger_keyword', { keyword });
-        }
+    document.getElementById('mode-keyword').addEventListener('click', openKeywordModal);
+    document.getElementById('keyword-cancel').addEventListener('click', closeKeywordModal);
+    document.getElementById('keyword-start').addEventListener('click', startKeywordCollect);
+    document.getElementById('keyword-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') startKeywordCollect();
     });
 
-    document.getElementById('mode-store').addEventListener('click', () => triggerMode('trigger_store'));
+    document.getElementById('mode-store').addEventListener('click', startStoreCrawl);
 
     // 배치 수집 버튼
     document.getElementById('mode-batch').addEventListener('click', startBatchCollection);
     document.getElementById('batch-cancel').addEventListener('click', cancelBatchCollection);
     document.getElementById('result-close').addEventListener('click', closeBatchResult);
 
-    // 중복 상품 보기 버튼
+    // 중단된 배치 작업
+    document.getElementById('batch-resume-btn').addEventListener('click', resumeBatchCollection);
+    document.getElementById('batch-discard-btn').addEventListener('click', discardBatchJob);
+    document.getElementById('outbox-retry-all-btn').addEventListener('click', () => retryOutbox());
+    document.getElementById('outbox-toggle-btn').addEventListener('click', toggleOutboxList);
+
+    // 중복 상품 버튼
     document.getElementById('view-duplicate-btn').addEventListener('click', openDashboard);
+    document.getElementById('duplicate-update-btn').addEventListener('click', () => triggerMode('trigger_product', { duplicateAction: 'update' }));
+    document.getElementById('duplicate-new-btn').addEventListener('click', () => triggerMode('trigger_product', { duplicateAction: 'new' }));
+    document.getElementById('threshold-toggle-btn').addEventListener('click', toggleThresholdForm);
+    document.getElementById('threshold-save-btn').addEventListener('click', () => saveAlertThresholds(false));
+    document.getElementById('threshold-reset-btn').addEventListener('click', () => saveAlertThresholds(true));
 
     // 배치 진행 상황 수신
     chrome.runtime.onMessage.addListener((message) => {
@@ -138,6 +160,9 @@ async function checkLoginStatus() {
             showProfile(response.session.user);
             await loadStats();
             await checkDuplicateProduct(); // 중복 체크 추가
+            await checkPendingBatchJob();
+            await loadOutbox();
+            await loadAlertHistory();
         } else {
             // 로그아웃 상태 - 항상 로그인 화면으로 전환
             showLogin();
@@ -182,7 +207,8 @@ async function handleLogin() {
         const response = await chrome.runtime.sendMessage({
             action: 'signIn',
             email,
-            password
+            password,
+            keepLogin: keepLoginChecked
         });
 
         if (response.success) {
@@ -253,7 +279,7 @@ async function triggerMode(action, data) {
 
     // Chrome 내부 페이지 체크
     if (tab.url && (tab.url.startsWith('chrome://') || tab.url.startsWith('about:') || tab.url.startsWith('edge://'))) {
-        alert('이 페이지에서는 수집 기능을 사용할 수 없습니다.\n\n상품 페이지(알리익스프레스, 타오바오, 1688 등)로 이동한 후 다시 시도해주세요.');
+        alert('이 페이지에서는 수집 기능을 사용할 수 없습니다.\n\n상품 페이지(스마트스토어, 쿠팡, 알리익스프레스, 타오바오 등)로 이동한 후 다시 시도해주세요.');
         return;
     }
 
@@ -286,10 +312,7 @@ async function triggerMode(action, data) {
         }
 
         // 실제 작업 수행
-        const message = { action: action };
-        if (data.keyword) {
-            message.keyword = data.keyword;
-        }
+        const message = { action: action, ...data };
 
         const response = await chrome.tabs.sendMessage(tab.id, message);
 
@@ -298,13 +321,19 @@ async function triggerMode(action, data) {
         hideLoading();
 
         if (response && response.success) {
-
+            if (typeof response.remaining === 'number') {
+                document.getElementById('remaining-count').textContent = response.remaining.toLocaleString();
+            }
 
             const msg = response.message || '작업이 완료되었습니다.';
             alert('성공: ' + msg);
             await loadStats();
+            await checkDuplicateProduct();
+        } else if (response && response.needsDecision) {
+            // 중복 상품: 배너의 업데이트/새로 저장 버튼으로 선택
+            document.getElementById('duplicate-alert').style.display = 'flex';
+            alert(response.error + '\n\n[업데이트] 또는 [새로 저장]을 선택해주세요.');
         } else {
-            if (action === 'trigger_keyword') return;
             const errorMsg = (response && response.error) ? response.error : '알 수 없는 오류가 발생했습니다.';
             alert('실패: ' + errorMsg);
         }
@@ -314,7 +343,7 @@ async function triggerMode(action, data) {
 
         const errorMessage = error.message || String(error);
         if (errorMessage.indexOf('Could not establish connection') >= 0) {
-            alert('페이지와 연결할 수 없습니다.\n\n해결 방법:\n1. 페이지를 새로고침(F5)한 후 다시 시도\n2. 상품 페이지(알리익스프레스, 타오바오 등)로 이동\n3. 확장 프로그램 새로고침');
+            alert('페이지와 연결할 수 없습니다.\n\n해결 방법:\n1. 페이지를 새로고침(F5)한 후 다시 시도\n2. 상품 페이지(스마트스토어, 쿠팡, 알리익스프레스 등)로 이동\n3. 확장 프로그램 새로고침');
         } else {
             alert('오류가 발생했습니다: ' + errorMessage);
         }
@@ -387,6 +416,8 @@ async function checkDuplicateProduct() {
                 <strong>수집일:</strong> ${collectedDate}
             `;
             alertEl.style.display = 'flex';
+            currentDuplicate = product;
+            loadPriceHistory(product);
         } else {
             // 중복 아님 또는 체크 실패
             alertEl.style.display = 'none';
@@ -401,6 +432,113 @@ async function checkDuplicateProduct() {
     }
 }
 
+/**
+ * 중복 상품의 가격 이력 표시 (이전 가격 → 현재 가격 + 스파크라인)
+ * @param {Object} product - 중복 체크 결과 상품 (id, price)
+ */
+async function loadPriceHistory(product) {
+    const historyEl = document.getElementById('duplicate-price-history');
+    historyEl.innerHTML = '';
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getPriceHistory', productId: product.id });
+        const prices = (response?.history || [])
+            .map(entry => Number(entry.price))
+            .filter(price => !isNaN(price));
+
+        // 현재 값은 상품의 수집가 (이력이 기록되지 않은 변경도 반영)
+        const current = Number(product.collected_price ?? product.price) || 0;
+        if (prices.length === 0 || prices[prices.length - 1] !== current) {
+            prices.push(current);
+        }
+
+        const previous = prices.length > 1 ? prices[prices.length - 2] : null;
+
+        let trend = 'flat';
+        let label = `현재 ${current.toLocaleString()}`;
+        if (previous !== null) {
+            trend = current > previous ? 'up' : current < previous ? 'down' : 'flat';
+            const rate = previous > 0 ? ` (${current > previous ? '+' : ''}${(((current - previous) / previous) * 100).toFixed(1)}%)` : '';
+            label = `이전 ${previous.toLocaleString()} → 현재 ${current.toLocaleString()}${rate}`;
+        }
+
+        historyEl.className = `price-history ${trend}`;
+        historyEl.innerHTML = `${renderSparkline(prices)}<span>${label}</span>`;
+    } catch (error) {
+        console.log('가격 이력 조회 스킵:', error.message);
+    }
+}
+
+/**
+ * 상품별 알림 기준 입력 폼 (비어 있으면 설정 페이지의 기준 사용)
+ */
+async function toggleThresholdForm() {
+    const form = document.getElementById('threshold-form');
+    if (form.style.display !== 'none') {
+        form.style.display = 'none';
+        return;
+    }
+
+    const { priceAlerts } = await SettingsManager.get();
+    const thresholds = currentDuplicate?.alert_thresholds || {};
+    document.getElementById('threshold-rise').value = thresholds.priceRise ?? priceAlerts.priceRise;
+    document.getElementById('threshold-drop').value = thresholds.priceDrop ?? priceAlerts.priceDrop;
+    form.style.display = 'flex';
+}
+
+/**
+ * 상품별 알림 기준 저장
+ * @param {boolean} reset - true면 상품별 기준을 지우고 전체 설정 사용
+ */
+async function saveAlertThresholds(reset) {
+    if (!currentDuplicate) return;
+
+    let thresholds = null;
+    if (!reset) {
+        const priceRise = Number(document.getElementById('threshold-rise').value);
+        const priceDrop = Number(document.getElementById('threshold-drop').value);
+        if (!(priceRise >= 0 && priceRise <= 100) || !(priceDrop >= 0 && priceDrop <= 100)) {
+            alert('알림 기준은 0~100% 사이로 입력해주세요.');
+            return;
+        }
+        thresholds = { priceRise, priceDrop };
+    }
+
+    const response = await chrome.runtime.sendMessage({
+        action: 'setAlertThresholds',
+        productId: currentDuplicate.id,
+        thresholds
+    });
+
+    if (!response || !response.success) {
+        alert('알림 기준 저장 실패: ' + (response?.error || '알 수 없는 오류'));
+        return;
+    }
+
+    currentDuplicate.alert_thresholds = thresholds;
+    document.getElementById('threshold-form').style.display = 'none';
+}
+
+/**
+ * 가격 목록으로 SVG 스파크라인 생성 (2개 미만이면 빈 문자열)
+ * @param {Array<number>} prices - 오래된 순 가격
+ * @returns {string} SVG 마크업
+ */
+function renderSparkline(prices, width = 80, height = 20) {
+    if (prices.length < 2) return '';
+
+    const min = Math.min(...prices);
+    const range = Math.max(...prices) - min || 1;
+    const step = width / (prices.length - 1);
+    const points = prices
+        .map((price, i) => `${(i * step).toFixed(1)},${(height - 2 - ((price - min) / range) * (height - 4)).toFixed(1)}`)
+        .join(' ');
+
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />
+    </svg>`;
+}
+
 /**
  * 메시지 표시
  */
@@ -416,15 +554,7 @@ function showMessage(element, message, type) {
 async function startBatchCollection() {
     try {
         // 프로그레스 창 열기
-        const progressWindow = await chrome.windows.create({
-            url: chrome.runtime.getURL('progress/progress.html'),
-            type: 'popup',
-            width: 400,
-            height: 500,
-            focused: true
-        });
-
-        console.log('Progress window opened:', progressWindow.id);
+        const progressWindow = await openProgressWindow();
 
         // 배치 수집 요청
         const response = await chrome.runtime.sendMessage({
@@ -444,6 +574,376 @@ async function startBatchCollection() {
     }
 }
 
+/**
+ * 배치 진행 창 열기
+ * @param {string} mode - 'batch', 'store' 또는 'keyword' (상품 목록 확인 단계 포함)
+ */
+async function openProgressWindow(mode = 'batch') {
+    const progressWindow = await chrome.windows.create({
+        url: chrome.runtime.getURL(`progress/progress.html?mode=${mode}`),
+        type: 'popup',
+        width: 400,
+        height: 500,
+        focused: true
+    });
+
+    console.log('Progress window opened:', progressWindow.id);
+    return progressWindow;
+}
+
+/**
+ * 몰털이 시작
+ * 현재 상점/카테고리 페이지부터 상품 링크를 수집하고 Progress 창에서 확인 후 배치 수집
+ */
+async function startStoreCrawl() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+        alert('상점 또는 카테고리 페이지에서 다시 시도해주세요.');
+        return;
+    }
+
+    try {
+        const progressWindow = await openProgressWindow('store');
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'storeCrawl',
+            tabId: tab.id,
+            progressWindowId: progressWindow.id
+        });
+
+        if (!response.success) {
+            alert(response.error || '몰털이 실패');
+            chrome.windows.remove(progressWindow.id);
+        }
+    } catch (error) {
+        console.error('몰털이 오류:', error);
+        alert('몰털이 중 오류가 발생했습니다.');
+    }
+}
+
+/**
+ * 키워드 수집 설정 창 열기
+ * 현재 탭이 지원 플랫폼이면 해당 플랫폼을 기본 선택
+ */
+async function openKeywordModal() {
+    const select = document.getElementById('keyword-platform');
+
+    if (select.options.length === 0) {
+        Object.keys(PlatformDetector.SEARCH_URLS).forEach(platform => {
+            const option = document.createElement('option');
+            option.value = platform;
+            option.textContent = PlatformDetector.getPlatformName(platform);
+            select.appendChild(option);
+        });
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const currentPlatform = tab && tab.url ? PlatformDetector.detectByHost(tab.url) : null;
+    if (currentPlatform && PlatformDetector.SEARCH_URLS[currentPlatform]) {
+        select.value = currentPlatform;
+    }
+
+    document.getElementById('keyword-modal').style.display = 'flex';
+    document.getElementById('keyword-input').focus();
+}
+
+/**
+ * 키워드 수집 설정 창 닫기
+ */
+function closeKeywordModal() {
+    document.getElementById('keyword-modal').style.display = 'none';
+}
+
+/**
+ * 키워드 수집 시작
+ * 검색 결과에서 조건에 맞는 상품을 찾고 Progress 창에서 확인 후 배치 수집
+ */
+async function startKeywordCollect() {
+    const keyword = document.getElementById('keyword-input').value.trim();
+    if (!keyword) {
+        alert('키워드를 입력해주세요.');
+        return;
+    }
+
+    const numberOrNull = (id) => {
+        const value = document.getElementById(id).value;
+        return value === '' ? null : Number(value);
+    };
+
+    const request = {
+        action: 'keywordCollect',
+        keyword,
+        platform: document.getElementById('keyword-platform').value,
+        limit: numberOrNull('keyword-limit') || 20,
+        maxPages: numberOrNull('keyword-pages') || 1,
+        filters: {
+            minPrice: numberOrNull('keyword-min-price'),
+            maxPrice: numberOrNull('keyword-max-price'),
+            minSales: numberOrNull('keyword-min-sales')
+        }
+    };
+
+    closeKeywordModal();
+
+    try {
+        const progressWindow = await openProgressWindow('keyword');
+        request.progressWindowId = progressWindow.id;
+
+        const response = await chrome.runtime.sendMessage(request);
+        if (!response.success) {
+            alert(response.error || '키워드 수집 실패');
+            chrome.windows.remove(progressWindow.id);
+        }
+    } catch (error) {
+        console.error('키워드 수집 오류:', error);
+        alert('키워드 수집 중 오류가 발생했습니다.');
+    }
+}
+
+/**
+ * 중단된 배치 작업 확인
+ */
+async function checkPendingBatchJob() {
+    const alertEl = document.getElementById('batch-resume-alert');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getBatchJob' });
+        const job = response && response.job;
+
+        if (job && job.resumable) {
+            const { total, done, failed } = job.summary;
+            const updatedDate = new Date(job.updatedAt).toLocaleString('ko-KR');
+            document.getElementById('batch-resume-info').textContent =
+                `완료 ${done} / 실패 ${failed} / 전체 ${total} · ${updatedDate}`;
+            alertEl.style.display = 'flex';
+        } else {
+            alertEl.style.display = 'none';
+        }
+    } catch (error) {
+        console.log('배치 작업 확인 스킵:', error.message);
+        alertEl.style.display = 'none';
+    }
+}
+
+/**
+ * 저장 대기열 표시
+ */
+async function loadOutbox() {
+    const alertEl = document.getElementById('outbox-alert');
+
+    try {
+        const { items } = await chrome.runtime.sendMessage({ action: 'getOutbox' });
+
+        if (!items || items.length === 0) {
+            alertEl.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('outbox-count').textContent = items.length;
+        renderOutboxList(items);
+        alertEl.style.display = 'block';
+    } catch (error) {
+        console.log('저장 대기열 확인 스킵:', error.message);
+        alertEl.style.display = 'none';
+    }
+}
+
+/**
+ * 저장 대기열 목록 (항목별 재시도/삭제)
+ */
+function renderOutboxList(items) {
+    const list = document.getElementById('outbox-list');
+    list.innerHTML = '';
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+
+        const info = document.createElement('div');
+        info.className = 'outbox-item-info';
+
+        const name = document.createElement('div');
+        name.className = 'outbox-item-name';
+        name.textContent = item.name || item.url;
+        name.title = item.url;
+
+        const nextRetry = item.nextRetryAt
+            ? `다음 재시도 ${new Date(item.nextRetryAt).toLocaleTimeString('ko-KR')}`
+            : '자동 재시도 중지';
+        const meta = document.createElement('div');
+        meta.className = 'outbox-item-meta';
+        meta.textContent = `${item.lastError} · 시도 ${item.attempts}회 · ${nextRetry}`;
+        meta.title = meta.textContent;
+
+        info.append(name, meta);
+
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'btn-item-retry';
+        retryBtn.textContent = '재시도';
+        retryBtn.addEventListener('click', () => retryOutbox(item.id));
+
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'btn-item-discard';
+        discardBtn.textContent = '삭제';
+        discardBtn.addEventListener('click', () => discardOutboxItem(item.id));
+
+        li.append(info, retryBtn, discardBtn);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * 변동 알림 기록 불러오기 (읽지 않은 개수 표시)
+ */
+async function loadAlertHistory() {
+    try {
+        const { items } = await chrome.runtime.sendMessage({ action: 'getAlertHistory' });
+        const unread = items.filter(item => !item.read).length;
+
+        const badge = document.getElementById('alerts-unread');
+        badge.textContent = unread;
+        badge.style.display = unread > 0 ? 'block' : 'none';
+
+        renderAlertHistory(items);
+    } catch (error) {
+        console.log('알림 기록 확인 스킵:', error.message);
+    }
+}
+
+/**
+ * 변동 알림 목록 (클릭하면 상품 페이지 열기)
+ */
+function renderAlertHistory(items) {
+    const list = document.getElementById('alert-history-list');
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = '변동 알림이 없습니다.';
+        list.appendChild(empty);
+        return;
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        if (!item.read) li.className = 'unread';
+        li.title = item.url;
+
+        const name = document.createElement('div');
+        name.className = 'alert-item-name';
+        name.textContent = item.productName || item.url;
+
+        const meta = document.createElement('div');
+        meta.className = 'alert-item-meta';
+        meta.textContent = `${new Date(item.at).toLocaleString('ko-KR')} · ${item.alerts.map(alert => alert.message).join(' · ')}`;
+
+        li.append(name, meta);
+        li.addEventListener('click', () => chrome.tabs.create({ url: item.url }));
+        list.appendChild(li);
+    });
+}
+
+async function toggleAlertHistory() {
+    const panel = document.getElementById('alert-history');
+    const visible = panel.style.display !== 'none';
+    panel.style.display = visible ? 'none' : 'block';
+
+    // 목록을 열면 모두 읽음 처리 (강조 표시는 이번에 연 목록에서는 유지)
+    if (!visible) {
+        await chrome.runtime.sendMessage({ action: 'markAlertsRead' });
+        document.getElementById('alerts-unread').style.display = 'none';
+    }
+}
+
+async function clearAlertHistory() {
+    if (!confirm('변동 알림 기록을 모두 지울까요?')) return;
+
+    await chrome.runtime.sendMessage({ action: 'clearAlertHistory' });
+    await loadAlertHistory();
+}
+
+function toggleOutboxList() {
+    const list = document.getElementById('outbox-list');
+    const visible = list.style.display !== 'none';
+    list.style.display = visible ? 'none' : 'flex';
+    document.getElementById('outbox-toggle-btn').textContent = visible ? '목록 보기' : '목록 닫기';
+}
+
+/**
+ * 저장 대기열 재시도 (id가 없으면 전체)
+ */
+async function retryOutbox(id = null) {
+    try {
+        showLoading();
+        const response = await chrome.runtime.sendMessage({ action: 'retryOutbox', id });
+        hideLoading();
+
+        if (!response.success) {
+            alert(response.error || '재시도 실패');
+        } else if (response.failed > 0) {
+            alert(`저장 ${response.saved}개, 실패 ${response.failed}개`);
+        }
+
+        await loadOutbox();
+        await loadStats();
+    } catch (error) {
+        hideLoading();
+        console.error('저장 대기열 재시도 오류:', error);
+    }
+}
+
+/**
+ * 저장 대기열 항목 삭제
+ */
+async function discardOutboxItem(id) {
+    if (!confirm('이 상품을 저장 대기열에서 삭제할까요? 삭제하면 다시 수집해야 합니다.')) return;
+
+    try {
+        await chrome.runtime.sendMessage({ action: 'discardOutbox', id });
+        await loadOutbox();
+    } catch (error) {
+        console.error('저장 대기열 삭제 오류:', error);
+    }
+}
+
+/**
+ * 중단된 배치 작업 이어서 수집
+ */
+async function resumeBatchCollection() {
+    try {
+        document.getElementById('batch-resume-alert').style.display = 'none';
+        const progressWindow = await openProgressWindow();
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'resumeBatch',
+            progressWindowId: progressWindow.id
+        });
+
+        if (!response.success) {
+            alert(response.error || '배치 수집 재개 실패');
+            chrome.windows.remove(progressWindow.id);
+        }
+    } catch (error) {
+        console.error('배치 재개 오류:', error);
+        alert('배치 수집 재개 중 오류가 발생했습니다.');
+    }
+}
+
+/**
+ * 중단된 배치 작업 삭제
+ */
+async function discardBatchJob() {
+    if (!confirm('중단된 배치 작업을 삭제하시겠습니까?')) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'discardBatchJob' });
+    if (response && response.success) {
+        document.getElementById('batch-resume-alert').style.display = 'none';
+    } else {
+        alert(response?.error || '작업 삭제 실패');
+    }
+}
+
 /**
  * 배치 진행 상황 업데이트
  */
@@ -476,8 +976,12 @@ function showBatchResult(results) {
 /**
  * 배치 수집 취소
  */
-function cancelBatchCollection() {
-    // TODO: 실제 취소 로직 구현 (서비스 워커에 취소 메시지 전송)
+async function cancelBatchCollection() {
+    try {
+        await chrome.runtime.sendMessage({ action: 'cancelBatch' });
+    } catch (error) {
+        console.error('배치 취소 요청 실패:', error);
+    }
     document.getElementById('batch-progress-modal').style.display = 'none';
     alert('배치 수집이 취소되었습니다.');
 }
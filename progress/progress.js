@@ -17,20 +17,51 @@ const completionCard = document.getElementById('completion-card');
 const resultTotal = document.getElementById('result-total');
 const resultSuccess = document.getElementById('result-success');
 const resultFailed = document.getElementById('result-failed');
+const completionIcon = document.getElementById('completion-icon');
+const completionTitle = document.getElementById('completion-title');
+const completionNote = document.getElementById('completion-note');
+const progressTitle = document.getElementById('progress-title');
+
+const selectionCard = document.getElementById('selection-card');
+const selectionList = document.getElementById('selection-list');
+const selectionCount = document.getElementById('selection-count');
+const selectionTotal = document.getElementById('selection-total');
+const selectAll = document.getElementById('select-all');
+const selectionStartBtn = document.getElementById('selection-start');
+const selectionCancelBtn = document.getElementById('selection-cancel');
+
+// Mode: 'batch' (open tabs), 'store' or 'keyword' (discover → confirm → batch)
+const mode = new URLSearchParams(window.location.search).get('mode') || 'batch';
 
 // State
 let cancelled = false;
+let discoveredProducts = [];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     console.log('[Progress] DOM loaded');
 
     // Set up cancel button
-    cancelBtn.addEventListener('click', () => {
-        console.log('[Progress] Cancel clicked');
-        cancelled = true;
-        window.close();
+    cancelBtn.addEventListener('click', requestCancel);
+
+    // Product selection (store crawl / keyword search)
+    selectAll.addEventListener('change', () => {
+        selectionList.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+            cb.checked = selectAll.checked;
+        });
+        updateSelectionCount();
     });
+    selectionList.addEventListener('change', updateSelectionCount);
+    selectionStartBtn.addEventListener('click', startSelectedCollection);
+    selectionCancelBtn.addEventListener('click', () => window.close());
+
+    if (mode === 'store') {
+        progressTitle.textContent = '상점 상품 탐색 중';
+        progressMessage.textContent = '상품 링크를 찾고 있습니다';
+    } else if (mode === 'keyword') {
+        progressTitle.textContent = '검색 결과 탐색 중';
+        progressMessage.textContent = '검색 결과에서 상품을 찾고 있습니다';
+    }
 
     // Listen for progress updates from service worker
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -40,6 +71,10 @@ document.addEventListener('DOMContentLoaded', () => {
             updateProgress(message.data);
         } else if (message.action === 'batchComplete') {
             showCompletion(message.results);
+        } else if (message.action === 'crawlProgress') {
+            updateCrawlProgress(message.data);
+        } else if (message.action === 'productLinksReady') {
+            showSelection(message.data.products);
         }
     });
 });
@@ -72,12 +107,137 @@ function updateProgress(data) {
     }
 }
 
+/**
+ * Update link discovery progress (store crawl / keyword search)
+ */
+function updateCrawlProgress(data) {
+    const { page, maxPages, found } = data;
+    const percentage = Math.floor(((page - 1) / maxPages) * 100);
+
+    progressBarFill.style.width = `${percentage}%`;
+    progressPercentage.textContent = `${percentage}%`;
+    progressCount.textContent = `${page}/${maxPages} 페이지`;
+    currentTabName.textContent = `${page}페이지 탐색 중`;
+    progressMessage.textContent = `상품 ${found}개 발견`;
+}
+
+/**
+ * Show discovered products for confirmation
+ */
+function showSelection(products) {
+    selectionList.innerHTML = '';
+
+    products.forEach((product, index) => {
+        const li = document.createElement('li');
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        const title = document.createElement('span');
+
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.index = index;
+        title.textContent = product.title;
+        title.title = product.url;
+
+        label.append(checkbox, title);
+        li.appendChild(label);
+        selectionList.appendChild(li);
+    });
+
+    discoveredProducts = products;
+    selectionTotal.textContent = products.length;
+    selectAll.checked = true;
+    updateSelectionCount();
+
+    progressCard.style.display = 'none';
+    selectionCard.style.display = 'flex';
+}
+
+/**
+ * Update selected product count
+ */
+function updateSelectionCount() {
+    const count = selectionList.querySelectorAll('input[type="checkbox"]:checked').length;
+    selectionCount.textContent = count;
+    selectionStartBtn.disabled = count === 0;
+}
+
+/**
+ * Start batch collection for the selected products
+ */
+async function startSelectedCollection() {
+    const products = Array.from(selectionList.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(cb => discoveredProducts[cb.dataset.index]);
+
+    // Switch back to the progress view
+    selectionCard.style.display = 'none';
+    progressCard.style.display = 'flex';
+    progressTitle.textContent = '배치 수집 진행 중';
+    progressMessage.textContent = '상품 정보를 수집하고 있습니다';
+    progressBarFill.style.width = '0%';
+    progressPercentage.textContent = '0%';
+    progressCount.textContent = `0/${products.length}`;
+    currentTabName.textContent = '준비 중...';
+
+    try {
+        const currentWindow = await chrome.windows.getCurrent();
+        const response = await chrome.runtime.sendMessage({
+            action: 'batchCollectUrls',
+            products,
+            progressWindowId: currentWindow.id
+        });
+
+        if (!response || !response.success) {
+            alert(response?.error || '배치 수집 실패');
+            window.close();
+        }
+    } catch (error) {
+        console.error('[Progress] Batch start failed:', error);
+        alert('배치 수집 중 오류가 발생했습니다.');
+        window.close();
+    }
+}
+
+/**
+ * Ask the service worker to stop the batch.
+ * The window stays open until batchComplete arrives with the partial result.
+ */
+async function requestCancel() {
+    if (cancelled) return;
+
+    console.log('[Progress] Cancel clicked');
+    cancelled = true;
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = '취소 중...';
+    progressMessage.textContent = '현재 작업을 정리하고 있습니다';
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'cancelBatch' });
+        if (!response || !response.success) {
+            // 진행 중인 배치가 없으면 바로 닫기
+            window.close();
+        }
+    } catch (error) {
+        console.error('[Progress] Cancel request failed:', error);
+        window.close();
+    }
+}
+
 /**
  * Show completion screen
  */
 function showCompletion(results) {
     console.log('[Progress] Showing completion:', results);
 
+    if (results.status === 'cancelled') {
+        completionIcon.textContent = '⏹️';
+        completionTitle.textContent = '수집 취소됨';
+    } else if (results.status === 'failed') {
+        completionIcon.textContent = '⚠️';
+        completionTitle.textContent = '수집 실패';
+        completionNote.textContent = `${results.error} (3초 후 자동으로 닫힙니다)`;
+    }
+
     // Update completion stats
     resultTotal.textContent = results.total || 0;
     resultSuccess.textContent = results.success || 0;